@@ -0,0 +1,38 @@
+import http from "node:http";
+import { createStoryProxy, getStoryProxyConfig } from "./storyProxy.js";
+
+// Runs the story proxy on its own, for production or for a dev server other
+// than Vite's: npm run server. Settings come from the environment or .env.
+
+const PORT = Number(process.env.PORT) || 8787;
+
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; use the environment as it is
+}
+
+const config = getStoryProxyConfig(process.env);
+if (!config.apiKey) {
+  console.warn("GEMINI_API_KEY is not set; story requests will fail");
+}
+
+const handleStory = createStoryProxy(config);
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname === "/api/story") {
+    handleStory(req, res);
+    return;
+  }
+  res.writeHead(404, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({ error: { code: 404, message: "Not found", status: "NOT_FOUND" } })
+  );
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Story proxy listening on http://localhost:${PORT}/api/story (${config.model} at ${config.upstreamUrl})`
+  );
+});
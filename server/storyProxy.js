@@ -0,0 +1,369 @@
+import { Readable } from "node:stream";
+import { buildStoryRequest } from "../src/utils/storyPrompts.js";
+import { normaliseStoryPreferences } from "../src/utils/storyPreferences.js";
+
+// A small proxy between the app and Gemini, so the API key stays on the
+// server. POST /api/story takes one step of writing a story:
+//   { step: "outline", context }
+//   { step: "chapter", context, story, index }
+// where context is { origin, destination, checkpoints, estimatedDuration,
+// landmarks, preferences } as in src/utils/storyWriter.js. The prompt is built
+// here from that input, never taken from the client, and Gemini's response is
+// passed back as is (streamed as server-sent events for chapters).
+//
+// Errors of its own use Gemini's shape, { error: { code, message, status } },
+// and name themselves in an X-Story-Error header.
+
+export const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta";
+export const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash";
+
+const MAX_BODY_BYTES = 256 * 1024;
+const UPSTREAM_TIMEOUT = 60000; // ms
+// Limits on the route input, well beyond anything the app sends
+const MAX_TEXT_LENGTH = 300;
+const MAX_CHAPTER_LENGTH = 6000;
+const MAX_CHECKPOINTS = 30;
+const MAX_LANDMARKS = 40;
+const MAX_FACTS = 3;
+
+class ProxyError extends Error {
+  constructor(code, status, type, message, headers = {}) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    this.type = type;
+    this.headers = headers;
+  }
+}
+
+const invalid = (message) =>
+  new ProxyError(400, "INVALID_ARGUMENT", "bad-request", message);
+
+// Requests per client in a sliding window. check() records a request and
+// says whether it's allowed, and if not how many seconds until it would be.
+export const createRateLimiter = ({ windowMs = 60000, max = 20 } = {}) => {
+  const requests = new Map();
+  let lastSweep = Date.now();
+
+  // Forget clients that have gone quiet so the map doesn't grow forever
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    requests.forEach((times, client) => {
+      if (times[times.length - 1] <= now - windowMs) requests.delete(client);
+    });
+  };
+
+  const check = (client) => {
+    const now = Date.now();
+    sweep(now);
+
+    const times = (requests.get(client) || []).filter(
+      (time) => time > now - windowMs
+    );
+    if (times.length >= max) {
+      requests.set(client, times);
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((times[0] + windowMs - now) / 1000),
+      };
+    }
+    times.push(now);
+    requests.set(client, times);
+    return { allowed: true, retryAfter: 0 };
+  };
+
+  return { check };
+};
+
+const text = (value, maxLength = MAX_TEXT_LENGTH) =>
+  typeof value === "string" ? value.slice(0, maxLength) : "";
+
+const number = (value) => (Number.isFinite(value) ? value : undefined);
+
+const list = (value, max) => (Array.isArray(value) ? value.slice(0, max) : []);
+
+const facts = (value) => list(value, MAX_FACTS).map((fact) => text(fact));
+
+// Only the fields the prompts use, cut down to size
+const sanitiseCheckpoint = (checkpoint) => ({
+  description: text(checkpoint?.description),
+  distanceAlongRoute: number(checkpoint?.distanceAlongRoute),
+  isStop: checkpoint?.isStop === true,
+  address: checkpoint?.address && {
+    road: text(checkpoint.address.road),
+    suburb: text(checkpoint.address.suburb),
+    city: text(checkpoint.address.city),
+  },
+  poi: checkpoint?.poi && {
+    category: text(checkpoint.poi.category),
+    facts: facts(checkpoint.poi.facts),
+  },
+});
+
+const sanitiseContext = (context) => {
+  if (!context || typeof context !== "object") {
+    throw invalid("context is required");
+  }
+  if (!Array.isArray(context.checkpoints)) {
+    throw invalid("context.checkpoints must be an array");
+  }
+  if (context.checkpoints.length > MAX_CHECKPOINTS) {
+    throw invalid(`At most ${MAX_CHECKPOINTS} checkpoints are allowed`);
+  }
+
+  return {
+    origin: text(context.origin),
+    destination: text(context.destination),
+    estimatedDuration: number(context.estimatedDuration) || 0,
+    checkpoints: context.checkpoints.map(sanitiseCheckpoint),
+    landmarks: list(context.landmarks, MAX_LANDMARKS).map((poi) => ({
+      name: text(poi?.name),
+      category: text(poi?.category),
+      facts: facts(poi?.facts),
+    })),
+    preferences: normaliseStoryPreferences(context.preferences || {}),
+  };
+};
+
+// The story so far, for writing the chapter at `index`
+const sanitiseStory = (story, index, context) => {
+  if (!story || !Array.isArray(story.chapters)) {
+    throw invalid("story.chapters must be an array");
+  }
+  if (story.chapters.length > context.checkpoints.length + 1) {
+    throw invalid("story has more chapters than the route has checkpoints");
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= story.chapters.length) {
+    throw invalid("index must be the number of a chapter in the story");
+  }
+
+  return {
+    title: text(story.title),
+    chapters: story.chapters.map((chapter, i) => ({
+      chapterNumber: i + 1,
+      title: text(chapter?.title),
+      summary: text(chapter?.summary, MAX_CHAPTER_LENGTH),
+      // Only the previous chapter's text is used in the prompt
+      content: i === index - 1 ? text(chapter?.content, MAX_CHAPTER_LENGTH) : "",
+    })),
+  };
+};
+
+const parseStoryRequest = (body) => {
+  const { step } = body || {};
+  if (step !== "outline" && step !== "chapter") {
+    throw invalid('step must be "outline" or "chapter"');
+  }
+
+  const context = sanitiseContext(body.context);
+  if (step === "outline") return { step, context };
+
+  return {
+    step,
+    context,
+    story: sanitiseStory(body.story, body.index, context),
+    index: body.index,
+  };
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // The rest of an over-long body is read and dropped so the error can
+    // still be sent
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(
+          new ProxyError(413, "INVALID_ARGUMENT", "bad-request", "Request is too large")
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(invalid("Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const sendError = (res, error) => {
+  res.writeHead(error.code, {
+    "Content-Type": "application/json",
+    "X-Story-Error": error.type,
+    ...error.headers,
+  });
+  res.end(
+    JSON.stringify({
+      error: { code: error.code, message: error.message, status: error.status },
+    })
+  );
+};
+
+// Where the request came from, for rate limiting and the log. Behind a
+// reverse proxy the socket is always the proxy, so trust X-Forwarded-For.
+const getClient = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return req.socket.remoteAddress || "unknown";
+};
+
+// A (req, res) handler for Node's http server or Connect-style middleware
+// (such as Vite's), mounted at whatever path the host chooses.
+//   apiKey       the Gemini API key
+//   model        the Gemini model stories are written with
+//   upstreamUrl  the Gemini API base URL; point it at a stub for testing
+//   rateLimit    { windowMs, max } requests per client
+//   trustProxy   take the client from X-Forwarded-For
+//   allowOrigin  an origin allowed to call the proxy from another host
+//   logger       called with one line per request
+//   fetch        the fetch used to reach Gemini
+export const createStoryProxy = ({
+  apiKey,
+  model = DEFAULT_GEMINI_MODEL,
+  upstreamUrl = GEMINI_API_URL,
+  rateLimit,
+  trustProxy = false,
+  allowOrigin,
+  logger = console.log,
+  fetch = globalThis.fetch,
+} = {}) => {
+  const limiter = createRateLimiter(rateLimit);
+
+  const forward = async (req, res, storyRequest) => {
+    const { method, body, stream } = buildStoryRequest(storyRequest);
+    const url = `${upstreamUrl.replace(/\/$/, "")}/models/${model}:${method}${
+      stream ? "?alt=sse" : ""
+    }`;
+
+    // Stop Gemini writing if the walker gives up waiting
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT);
+    res.on("close", () => controller.abort());
+
+    try {
+      const upstream = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      const headers = {
+        "Content-Type": upstream.headers.get("content-type") || "application/json",
+        "Cache-Control": "no-store",
+      };
+      const retryAfter = upstream.headers.get("retry-after");
+      if (retryAfter) headers["Retry-After"] = retryAfter;
+      res.writeHead(upstream.status, headers);
+
+      if (!upstream.body) {
+        res.end();
+        return;
+      }
+      await new Promise((resolve, reject) => {
+        Readable.fromWeb(upstream.body)
+          .on("error", reject)
+          .pipe(res)
+          .on("finish", resolve)
+          .on("error", reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  // `entry` collects what the request log line reports
+  const handle = async (req, res, entry) => {
+    if (allowOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+      res.setHeader("Vary", "Origin");
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Methods": "POST",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+      return;
+    }
+    if (req.method !== "POST") {
+      throw new ProxyError(405, "METHOD_NOT_ALLOWED", "bad-request", "Use POST", {
+        Allow: "POST",
+      });
+    }
+
+    const limit = limiter.check(getClient(req, trustProxy));
+    if (!limit.allowed) {
+      throw new ProxyError(
+        429,
+        "RESOURCE_EXHAUSTED",
+        "rate-limited",
+        "Too many story requests",
+        { "Retry-After": String(limit.retryAfter) }
+      );
+    }
+
+    const storyRequest = parseStoryRequest(await readJsonBody(req));
+    entry.step = storyRequest.step;
+    if (!apiKey) {
+      throw new ProxyError(
+        500,
+        "FAILED_PRECONDITION",
+        "missing-key",
+        "The story server has no Gemini API key"
+      );
+    }
+
+    await forward(req, res, storyRequest);
+  };
+
+  return async (req, res) => {
+    const started = Date.now();
+    const entry = { step: "-" };
+
+    try {
+      await handle(req, res, entry);
+    } catch (error) {
+      if (error instanceof ProxyError) {
+        if (!res.headersSent) sendError(res, error);
+      } else if (!res.headersSent) {
+        console.error("Story proxy request failed:", error);
+        sendError(
+          res,
+          new ProxyError(502, "UNAVAILABLE", "upstream", "Couldn't reach Gemini")
+        );
+      } else {
+        // Gemini broke off mid-stream; the client retries the chapter
+        res.destroy(error);
+      }
+    }
+
+    // The key is never logged, only who asked for what and how it went
+    logger(
+      `${new Date().toISOString()} ${getClient(req, trustProxy)} ${req.method} ${entry.step} ${res.statusCode} ${Date.now() - started}ms`
+    );
+  };
+};
+
+// Proxy options from environment variables, shared by server/index.js and
+// the Vite dev server
+export const getStoryProxyConfig = (env) => ({
+  apiKey: env.GEMINI_API_KEY,
+  model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+  upstreamUrl: env.GEMINI_API_URL || GEMINI_API_URL,
+  rateLimit: {
+    windowMs: 60000,
+    max: Number(env.STORY_RATE_LIMIT) || 20,
+  },
+  trustProxy: env.STORY_TRUST_PROXY === "true",
+  allowOrigin: env.STORY_ALLOWED_ORIGIN || undefined,
+});
@@ -0,0 +1,104 @@
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+
+// A stand-in for the Gemini API, for trying the story proxy without a key or
+// quota: npm run server:stub, then start the proxy with
+// GEMINI_API_URL=http://localhost:8788 and any GEMINI_API_KEY. Outlines come
+// back as JSON and chapters as a stream of server-sent events, like Gemini's.
+// The proxy's tests (storyProxy.test.js) run against it too.
+
+const PORT = Number(process.env.STUB_PORT) || 8788;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const candidate = (text, finishReason) => ({
+  candidates: [
+    { content: { parts: [{ text }], role: "model" }, ...(finishReason && { finishReason }) },
+  ],
+});
+
+// The prompt asks for this many chapters in "Outline exactly N chapters"
+const getChapterCount = (prompt) =>
+  Number(prompt.match(/Outline exactly (\d+) chapters/)?.[1]) || 3;
+
+const writeOutline = (res, prompt) => {
+  const numChapters = getChapterCount(prompt);
+  const story = {
+    title: "The Stub Walk",
+    chapters: Array.from({ length: numChapters }, (_, i) => ({
+      chapterNumber: i + 1,
+      title: `Stub chapter ${i + 1}`,
+      summary: `Something happens in chapter ${i + 1}.`,
+    })),
+    firstChapter:
+      "You set off from the start. The street is quiet, and somewhere ahead a story is waiting.",
+  };
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(candidate(JSON.stringify(story), "STOP")));
+};
+
+const streamChapter = async (res, prompt, chunkDelay) => {
+  const chapterNumber = prompt.match(/Write chapter (\d+)/)?.[1] || "?";
+  const pieces = [
+    `Chapter ${chapterNumber} begins as you turn the corner. `,
+    "The buildings lean in to listen. ",
+    "A pigeon watches, unimpressed, as you walk on.",
+  ];
+
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  for (const [i, piece] of pieces.entries()) {
+    await sleep(chunkDelay);
+    const event = candidate(piece, i === pieces.length - 1 ? "STOP" : undefined);
+    res.write(`data: ${JSON.stringify(event)}\r\n\r\n`);
+  }
+  res.end();
+};
+
+// An http.Server answering like Gemini. Each request is recorded in
+// `requests` as { url, apiKey, prompt } for tests to check.
+//   chunkDelay  ms between streamed pieces of a chapter
+export const createStubGemini = ({ chunkDelay = 150 } = {}) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      let prompt = "";
+      try {
+        prompt = JSON.parse(Buffer.concat(chunks).toString("utf8")).contents[0]
+          .parts[0].text;
+      } catch {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            error: { code: 400, message: "Bad request", status: "INVALID_ARGUMENT" },
+          })
+        );
+        return;
+      }
+
+      requests.push({ url: req.url, apiKey: req.headers["x-goog-api-key"], prompt });
+      if (req.url.includes(":streamGenerateContent")) {
+        streamChapter(res, prompt, chunkDelay);
+      } else {
+        writeOutline(res, prompt);
+      }
+    });
+  });
+
+  return { server, requests };
+};
+
+// Run on its own with npm run server:stub
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { server } = createStubGemini();
+  server.on("request", (req) =>
+    console.log(
+      `${req.method} ${req.url} key=${req.headers["x-goog-api-key"] ? "set" : "missing"}`
+    )
+  );
+  server.listen(PORT, () => {
+    console.log(`Stub Gemini API listening on http://localhost:${PORT}`);
+  });
+}
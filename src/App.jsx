@@ -5,7 +5,16 @@ import { LeafletMapView } from "./components/LeafletMapView";
 import { AudioPlayer } from "./components/AudioPlayer";
 import { TripSummary } from "./components/TripSummary";
 import { TripHistory } from "./components/TripHistory";
-import { initDB } from "./utils/database";
+import {
+  initDB,
+  saveActiveSession,
+  getActiveSession,
+  clearActiveSession,
+} from "./utils/database";
+import { createTripSession, getRouteTripDetails } from "./utils/tripSession";
+import { continueRouteStory } from "./utils/routePlanner";
+import { getSavedStory } from "./utils/storyWriter";
+import { pruneGeocodeCache } from "./utils/geocoding";
 import { audioService } from "./utils/audio";
 import "./App.css";
 
@@ -13,26 +22,136 @@ function App() {
   const [currentScreen, setCurrentScreen] = useState("map-selection"); // map-selection, route-selection, walking, summary, history
   const [route, setRoute] = useState(null);
   const [story, setStory] = useState(null);
+  // The story as saved with the walk, which streamed text doesn't change
+  const [savedStory, setSavedStory] = useState(null);
+  // Writes the chapters not ready when the walk started, if any
+  const [storyWriter, setStoryWriter] = useState(null);
   const [currentPosition, setCurrentPosition] = useState(null);
   const [checkpoints, setCheckpoints] = useState([]);
   const [completedCheckpoints, setCompletedCheckpoints] = useState([]);
   const [currentChapter, setCurrentChapter] = useState(0);
+  // The current chapter has been read out and the next isn't unlocked yet
+  const [chapterFinished, setChapterFinished] = useState(false);
   const [tripData, setTripData] = useState(null);
+  const [tripPaused, setTripPaused] = useState(false);
+  const [tripProgress, setTripProgress] = useState(null);
+  const [resumeProgress, setResumeProgress] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Initialize database on app start
+  // Initialize database on app start and look for a walk left unfinished
   useEffect(() => {
-    initDB().catch(console.error);
+    initDB()
+      .then(() => getActiveSession())
+      .then((session) => {
+        if (session?.route) setPendingSession(session);
+      })
+      .catch(console.error);
+    pruneGeocodeCache().catch(console.error);
   }, []);
 
+  // Later chapters arrive while the walk is under way
+  useEffect(() => storyWriter?.subscribe(setStory), [storyWriter]);
+
+  // Kept in step with `story` as it renders, so a save never pairs it with
+  // the wrong route
+  const nextSavedStory = getSavedStory(story, savedStory);
+  if (nextSavedStory !== savedStory) {
+    setSavedStory(nextSavedStory);
+  }
+
+  // Checkpoint the walk in progress whenever something meaningful changes
+  useEffect(() => {
+    if (currentScreen !== "walking" || !route || !tripProgress) return;
+
+    saveActiveSession({
+      route,
+      story: savedStory,
+      checkpoints,
+      completedCheckpoints,
+      currentChapter,
+      tripProgress,
+    }).catch((error) => console.error("Failed to save session:", error));
+  }, [
+    currentScreen,
+    route,
+    savedStory,
+    checkpoints,
+    completedCheckpoints,
+    currentChapter,
+    tripProgress,
+  ]);
+
+  // Pick up the unfinished walk where it was left
+  const resumeSession = () => {
+    const session = pendingSession;
+    setRoute(session.route);
+    setStory(session.story);
+    storyWriter?.cancel();
+    setStoryWriter(
+      session.story
+        ? continueRouteStory(
+            session.route,
+            session.checkpoints || [],
+            session.story
+          )
+        : null
+    );
+    setCheckpoints(session.checkpoints || []);
+    setCompletedCheckpoints(session.completedCheckpoints || []);
+    setCurrentChapter(session.currentChapter || 0);
+    setChapterFinished(false);
+    setTripProgress(session.tripProgress);
+    setResumeProgress({ ...session.tripProgress, savedAt: session.updatedAt });
+    setPendingSession(null);
+    setCurrentScreen("walking");
+    setError(null);
+  };
+
+  // A walk given up without being resumed still gets its one trip record,
+  // flagged incomplete and ending at its last save
+  const settleStoredSession = async (session) => {
+    if (!session?.tripProgress) return;
+
+    const trip = createTripSession(
+      getRouteTripDetails(session.route, session.checkpoints)
+    );
+    trip.start({ progress: session.tripProgress, savedAt: session.updatedAt });
+    await trip.abandon(session.updatedAt);
+  };
+
+  const discardSession = () => {
+    const session = pendingSession;
+    setPendingSession(null);
+    settleStoredSession(session)
+      .then(() => clearActiveSession())
+      .catch(console.error);
+  };
+
   // Handle route selection
   const handleRouteSelected = (routeData) => {
     setRoute(routeData.route);
     setCheckpoints(routeData.checkpoints);
     setStory(routeData.story);
+    storyWriter?.cancel();
+    setStoryWriter(routeData.storyWriter || null);
+    setCompletedCheckpoints([]);
+    setChapterFinished(false);
     setCurrentScreen("walking");
-    setError(null);
+    setTripPaused(false);
+    setTripProgress(null);
+    setResumeProgress(null);
+    // A new walk replaces any unfinished one
+    if (pendingSession) {
+      settleStoredSession(pendingSession).catch(console.error);
+      setPendingSession(null);
+    }
+    setError(
+      routeData.story?.fallbackReason
+        ? `Couldn't write a custom story, so a simple one will be read instead. ${routeData.story.fallbackReason}`
+        : null
+    );
 
     // Start the first chapter
     if (routeData.story?.chapters?.length > 0) {
@@ -42,15 +161,35 @@ function App() {
 
   // Handle checkpoint reached
   const handleCheckpointReached = (checkpointIndex) => {
-    if (!completedCheckpoints.includes(checkpointIndex)) {
-      setCompletedCheckpoints((prev) => [...prev, checkpointIndex]);
-
-      // Move to next chapter
-      const nextChapter = checkpointIndex + 1;
-      if (story?.chapters && nextChapter < story.chapters.length) {
-        setCurrentChapter(nextChapter);
-      }
+    setCompletedCheckpoints((prev) =>
+      prev.includes(checkpointIndex) ? prev : [...prev, checkpointIndex]
+    );
+  };
+
+  // Each checkpoint reached unlocks one more chapter, whichever checkpoint
+  // it was, so chapters are never skipped
+  const unlockedChapter = Math.min(
+    completedCheckpoints.length,
+    (story?.chapters?.length || 1) - 1
+  );
+
+  // Move on once the current chapter has finished; chapters unlocked by a
+  // walker faster than the narration queue up and play back to back
+  useEffect(() => {
+    if (chapterFinished && currentChapter < unlockedChapter) {
+      setCurrentChapter(currentChapter + 1);
+      setChapterFinished(false);
     }
+  }, [chapterFinished, currentChapter, unlockedChapter]);
+
+  const handleChapterEnd = () => {
+    setChapterFinished(true);
+  };
+
+  // Chosen by the listener with the skip buttons
+  const handleChapterChange = (chapter) => {
+    setCurrentChapter(chapter);
+    setChapterFinished(false);
   };
 
   // Handle trip completion
@@ -58,10 +197,19 @@ function App() {
     setTripData(tripSummary);
     setCurrentScreen("summary");
     audioService.stop();
+    clearActiveSession().catch(console.error);
   };
 
   // Handle navigation
   const handleNavigation = (screen) => {
+    // Leaving mid-walk keeps it saved, ready to resume from any screen
+    if (currentScreen === "walking" && screen !== "walking") {
+      getActiveSession()
+        .then((session) => {
+          if (session?.route) setPendingSession(session);
+        })
+        .catch(console.error);
+    }
     setCurrentScreen(screen);
     setError(null);
   };
@@ -74,13 +222,27 @@ function App() {
 
   // Reset app state
   const resetApp = () => {
+    // Starting over mid-walk ends that walk early
+    if (currentScreen === "walking") {
+      getActiveSession()
+        .then(settleStoredSession)
+        .then(() => clearActiveSession())
+        .catch(console.error);
+    }
+
     setRoute(null);
     setStory(null);
+    storyWriter?.cancel();
+    setStoryWriter(null);
     setCurrentPosition(null);
     setCheckpoints([]);
     setCompletedCheckpoints([]);
     setCurrentChapter(0);
+    setChapterFinished(false);
     setTripData(null);
+    setTripPaused(false);
+    setTripProgress(null);
+    setResumeProgress(null);
     setCurrentScreen("map-selection");
     setError(null);
     audioService.stop();
@@ -146,6 +308,41 @@ function App() {
           </div>
         )}
 
+        {pendingSession && !isLoading && currentScreen !== "walking" && (
+          <div className="resume-banner">
+            <div className="container p-4">
+              <div
+                className="card"
+                style={{
+                  backgroundColor: "#eff6ff",
+                  borderColor: "#bfdbfe",
+                  color: "#1d4ed8",
+                }}
+              >
+                <p>
+                  You have an unfinished walk from{" "}
+                  <strong>{pendingSession.route.origin}</strong> to{" "}
+                  <strong>{pendingSession.route.destination}</strong>.
+                </p>
+                <div className="flex gap-2 mt-4">
+                  <button
+                    className="btn btn-primary text-sm"
+                    onClick={resumeSession}
+                  >
+                    Resume Walk
+                  </button>
+                  <button
+                    className="btn btn-secondary text-sm"
+                    onClick={discardSession}
+                  >
+                    Discard
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {isLoading && (
           <div className="loading-overlay">
             <div className="container flex flex-col items-center justify-center h-screen gap-4">
@@ -181,6 +378,10 @@ function App() {
               onPositionUpdate={setCurrentPosition}
               onCheckpointReached={handleCheckpointReached}
               onTripCompleted={handleTripCompleted}
+              onRouteUpdated={setRoute}
+              onPauseChange={setTripPaused}
+              resumeProgress={resumeProgress}
+              onProgressChange={setTripProgress}
               onError={handleError}
             />
 
@@ -188,7 +389,9 @@ function App() {
               <AudioPlayer
                 story={story}
                 currentChapter={currentChapter}
-                onChapterChange={setCurrentChapter}
+                onChapterChange={handleChapterChange}
+                onChapterEnd={handleChapterEnd}
+                tripPaused={tripPaused}
                 onError={handleError}
               />
             )}
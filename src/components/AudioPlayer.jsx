@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import {
   Play,
   Pause,
@@ -6,43 +6,59 @@ import {
   SkipForward,
   Volume2,
   Settings,
+  Loader,
 } from "lucide-react";
-import { audioService } from "../utils/audio";
+import { audioService, speaksLanguage } from "../utils/audio";
 import { savePreference, getPreference } from "../utils/database";
+import { STORY_LANGUAGES } from "../utils/storyPreferences";
 
 export function AudioPlayer({
   story,
   currentChapter,
   onChapterChange,
+  onChapterEnd,
+  tripPaused = false,
   onError,
 }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [voices, setVoices] = useState([]);
   const [selectedVoice, setSelectedVoice] = useState("");
+  // The saved voice is kept for stories in its language
+  const [savedVoice, setSavedVoice] = useState(null);
+  // "local", "remote" (needs a connection) or "none" for the story language
+  const [voiceMatch, setVoiceMatch] = useState("local");
   const [showSettings, setShowSettings] = useState(false);
   const [playbackRate, setPlaybackRate] = useState(0.9);
   const [volume, setVolume] = useState(1);
+  const pausedByTripRef = useRef(false);
+  // Each chapter plays by itself once; replays are up to the listener
+  const autoPlayedChapterRef = useRef(null);
 
   const currentChapterData = story?.chapters?.[currentChapter];
+  // Fallback and older stories are in English
+  const storyLanguage = story?.preferences?.language || "en";
+  const languageName =
+    STORY_LANGUAGES.find((language) => language.value === storyLanguage)
+      ?.prompt || storyLanguage;
+  // Later chapters may still be being written when the walker gets to them
+  const isWaiting = !!currentChapterData?.pending;
 
   // Initialize audio service and load preferences
   useEffect(() => {
     const initAudio = async () => {
       try {
-        // Load available voices
-        const availableVoices = audioService.getAvailableVoices();
-        setVoices(availableVoices);
+        // Load available voices, which may only arrive later
+        setVoices(audioService.getAvailableVoices());
+        audioService.setOnVoicesChangedCallback(setVoices);
 
         // Load saved preferences
-        const savedVoice = await getPreference("selectedVoice");
+        const savedVoiceName = await getPreference("selectedVoice");
         const savedRate = await getPreference("playbackRate");
         const savedVolume = await getPreference("volume");
 
-        if (savedVoice && audioService.setVoice(savedVoice)) {
-          setSelectedVoice(savedVoice);
-        } else if (availableVoices.length > 0) {
-          setSelectedVoice(availableVoices[0].name);
+        if (savedVoiceName) {
+          setSavedVoice(savedVoiceName);
         }
 
         if (savedRate) {
@@ -71,64 +87,113 @@ export function AudioPlayer({
     };
 
     initAudio();
+
+    // An unmounted player shouldn't keep hearing about voices
+    return () => audioService.setOnVoicesChangedCallback(null);
   }, [onError]);
 
+  // Narrate in a voice for the story's language, warning when there isn't one
+  useEffect(() => {
+    if (voices.length === 0) return;
+
+    const { voice, match } = audioService.selectVoiceForLanguage(
+      storyLanguage,
+      savedVoice
+    );
+    setSelectedVoice(voice || "");
+    setVoiceMatch(match);
+  }, [voices, storyLanguage, savedVoice]);
+
   // Auto-play new chapter when currentChapter changes
   useEffect(() => {
     const playChapter = async () => {
       if (!currentChapterData) return;
+      autoPlayedChapterRef.current = currentChapter;
 
       try {
         setIsPlaying(true);
         setIsPaused(false);
 
         const processedText = audioService.preprocessText(
-          currentChapterData.content
+          currentChapterData.content,
+          storyLanguage
         );
 
-        await audioService.speak(processedText, {
+        const finished = await audioService.speak(processedText, {
           rate: playbackRate,
           volume: volume,
         });
 
         setIsPlaying(false);
+        if (finished) onChapterEnd?.(currentChapter);
       } catch (error) {
         console.error("Playback failed:", error);
         setIsPlaying(false);
         setIsPaused(false);
         onError("Failed to play audio. Please try again.");
+        // Don't hold the story back because the speech failed
+        onChapterEnd?.(currentChapter);
       }
     };
 
-    if (currentChapterData && !isPlaying) {
+    // A paused trip (e.g. one just resumed after a reload) waits to play, and
+    // a chapter still being written plays once it's ready
+    if (
+      currentChapterData &&
+      !currentChapterData.pending &&
+      !isPlaying &&
+      !tripPaused &&
+      autoPlayedChapterRef.current !== currentChapter
+    ) {
       playChapter();
     }
   }, [
     currentChapter,
     currentChapterData,
     isPlaying,
+    tripPaused,
     playbackRate,
     volume,
+    storyLanguage,
+    onChapterEnd,
     onError,
   ]);
 
+  // Pause the narration with the trip, and pick it up again on resume unless
+  // the listener had paused it themselves
+  useEffect(() => {
+    if (tripPaused) {
+      if (audioService.pause()) {
+        pausedByTripRef.current = true;
+        setIsPaused(true);
+      }
+    } else if (pausedByTripRef.current) {
+      pausedByTripRef.current = false;
+      if (audioService.resume()) {
+        setIsPaused(false);
+      }
+    }
+  }, [tripPaused]);
+
   const playCurrentChapter = async () => {
-    if (!currentChapterData) return;
+    if (!currentChapterData || currentChapterData.pending) return;
 
     try {
       setIsPlaying(true);
       setIsPaused(false);
 
       const processedText = audioService.preprocessText(
-        currentChapterData.content
+        currentChapterData.content,
+        storyLanguage
       );
 
-      await audioService.speak(processedText, {
+      const finished = await audioService.speak(processedText, {
         rate: playbackRate,
         volume: volume,
       });
 
       setIsPlaying(false);
+      if (finished) onChapterEnd?.(currentChapter);
     } catch (error) {
       console.error("Playback failed:", error);
       setIsPlaying(false);
@@ -182,7 +247,18 @@ export function AudioPlayer({
 
   const handleVoiceChange = async (voiceName) => {
     if (audioService.setVoice(voiceName)) {
+      // The listener's pick stands, even in another language than the story
+      const voice = voices.find((v) => v.name === voiceName);
       setSelectedVoice(voiceName);
+      // So reloading voices or changing language doesn't undo the pick
+      setSavedVoice(voiceName);
+      setVoiceMatch(
+        !speaksLanguage(voice, storyLanguage)
+          ? "none"
+          : voice.localService
+          ? "local"
+          : "remote"
+      );
       await savePreference("selectedVoice", voiceName);
 
       // Restart current playback with new voice if playing
@@ -241,6 +317,7 @@ export function AudioPlayer({
           <button
             className="btn btn-primary text-lg px-6"
             onClick={handlePlayPause}
+            disabled={isWaiting}
             title={isPlaying ? (isPaused ? "Resume" : "Pause") : "Play"}
           >
             {isPlaying && !isPaused ? (
@@ -284,6 +361,27 @@ export function AudioPlayer({
           <span>{story.chapters.length}</span>
         </div>
 
+        {/* No installed voice for the story's language */}
+        {voiceMatch !== "local" && (
+          <p className="text-sm text-left" style={{ color: "#b45309" }}>
+            {voiceMatch === "none"
+              ? `No ${languageName} voice is available on this device, so ${
+                  selectedVoice || "the default voice"
+                } will read the story and may mispronounce it. Add a ${languageName} voice in your device's speech settings.`
+              : `The ${languageName} voice needs an internet connection to read the story.`}
+          </p>
+        )}
+
+        {/* Chapter still being written */}
+        {isWaiting && (
+          <div className="flex items-center justify-center gap-2 text-sm">
+            <Loader className="w-4 h-4 animate-spin" />
+            <span style={{ color: "var(--text-secondary)" }}>
+              Still writing this chapter. It will play as soon as it's ready.
+            </span>
+          </div>
+        )}
+
         {/* Audio Status */}
         {isPlaying && (
           <div className="flex items-center justify-center gap-2 text-sm">
@@ -310,11 +408,18 @@ export function AudioPlayer({
                 value={selectedVoice}
                 onChange={(e) => handleVoiceChange(e.target.value)}
               >
-                {voices.map((voice) => (
-                  <option key={voice.name} value={voice.name}>
-                    {voice.name} ({voice.lang})
-                  </option>
-                ))}
+                {/* Voices for the story's language first */}
+                {[...voices]
+                  .sort(
+                    (a, b) =>
+                      speaksLanguage(b, storyLanguage) -
+                      speaksLanguage(a, storyLanguage)
+                  )
+                  .map((voice) => (
+                    <option key={voice.name} value={voice.name}>
+                      {voice.name} ({voice.lang})
+                    </option>
+                  ))}
               </select>
             </div>
 
@@ -372,7 +477,9 @@ export function AudioPlayer({
             className="text-sm line-clamp-3"
             style={{ color: "var(--text-secondary)" }}
           >
-            {currentChapterData.content.substring(0, 150)}...
+            {isWaiting
+              ? currentChapterData.draft || currentChapterData.summary
+              : `${currentChapterData.content.substring(0, 150)}...`}
           </p>
         </div>
       </div>
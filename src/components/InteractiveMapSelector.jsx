@@ -1,8 +1,13 @@
-import { useState, useRef } from "react";
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents } from "react-leaflet";
-import { Search, Navigation, Target, MapPin, Play } from "lucide-react";
+import { useState, useRef, useEffect } from "react";
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import { Search, Navigation, Target, MapPin, Play, Loader } from "lucide-react";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { reverseGeocode } from "../utils/leafletMaps";
+import { planWalkingRoute } from "../utils/routePlanner";
+import { usePlaceSuggestions } from "../hooks/usePlaceSuggestions";
+import { useStoryPreferences } from "../hooks/useStoryPreferences";
+import { StoryPreferencesPicker } from "./StoryPreferencesPicker";
 
 // Fix leaflet default markers
 delete L.Icon.Default.prototype._getIconUrl;
@@ -42,25 +47,47 @@ const createCustomIcon = (color) => {
 const originIcon = createCustomIcon('#10b981'); // Green
 const destinationIcon = createCustomIcon('#ef4444'); // Red
 
-// Component to handle map clicks
-function MapClickHandler({ onLocationSelect, mode }) {
-  useMapEvents({
+// Component to handle map clicks and report where the map is looking
+function MapClickHandler({ onLocationSelect, onMoveEnd, mode }) {
+  const map = useMapEvents({
     click(e) {
       if (mode === 'select') {
         onLocationSelect(e.latlng);
       }
     },
+    moveend() {
+      onMoveEnd(map.getCenter());
+    },
   });
   return null;
 }
 
-export function InteractiveMapSelector({ onRouteSelected, onError }) {
+// Component to recenter the map when center/zoom state changes
+function MapController({ center, zoom }) {
+  const map = useMap();
+
+  useEffect(() => {
+    map.setView(center, zoom);
+  }, [map, center, zoom]);
+
+  return null;
+}
+
+const formatDistance = (meters) => {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+export function InteractiveMapSelector({ onRouteSelected, onError, onLoading }) {
   const [center, setCenter] = useState([10.8231, 106.6297]); // Ho Chi Minh City
   const [zoom, setZoom] = useState(13);
   const [searchQuery, setSearchQuery] = useState("");
+  const [mapCenter, setMapCenter] = useState({ lat: 10.8231, lng: 106.6297 });
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [showSuggestions, setShowSuggestions] = useState(false);
   const [selectedOrigin, setSelectedOrigin] = useState(null);
   const [selectedDestination, setSelectedDestination] = useState(null);
   const [selectMode, setSelectMode] = useState(null); // 'origin' or 'destination'
+  const [storyPreferences, updateStoryPreferences] = useStoryPreferences();
   const [missions] = useState([
     {
       id: 1,
@@ -102,6 +129,10 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
   const [showMissions, setShowMissions] = useState(false);
   const mapRef = useRef();
 
+  const { suggestions, isSearching } = usePlaceSuggestions(searchQuery, {
+    center: mapCenter,
+  });
+
   // Get current location
   const getCurrentLocation = () => {
     if (navigator.geolocation) {
@@ -132,8 +163,65 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
     }
   };
 
+  // Set a search result as origin or destination and recenter on it
+  const selectSuggestion = (place, target) => {
+    const point = { lat: place.lat, lng: place.lng, address: place.name };
+
+    if (target === 'origin') {
+      setSelectedOrigin(point);
+    } else {
+      setSelectedDestination(point);
+    }
+    setSelectMode(null);
+    setCenter([place.lat, place.lng]);
+    setZoom(16);
+    setSearchQuery("");
+    setShowSuggestions(false);
+    setActiveSuggestion(-1);
+  };
+
+  // Default target for Enter: the pending select mode, else the first empty slot
+  const getDefaultTarget = () => {
+    if (selectMode) return selectMode;
+    return selectedOrigin ? 'destination' : 'origin';
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (!suggestions.length) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const place = suggestions[Math.max(activeSuggestion, 0)];
+      selectSuggestion(place, getDefaultTarget());
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+      setActiveSuggestion(-1);
+    }
+  };
+
+  // Resolve a map-picked point into a labelled place for routing and story
+  const toPlace = async (latlng) => {
+    // Search results already carry their address
+    if (latlng.address) return latlng;
+
+    try {
+      const address = await reverseGeocode(latlng.lat, latlng.lng);
+      return { lat: latlng.lat, lng: latlng.lng, address };
+    } catch (error) {
+      console.warn('Reverse geocoding failed, using coordinates:', error);
+      return { lat: latlng.lat, lng: latlng.lng };
+    }
+  };
+
   // Start mission/route
-  const startRoute = () => {
+  const startRoute = async () => {
     if (!selectedOrigin) {
       onError('Please select a starting point');
       return;
@@ -143,31 +231,23 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
       return;
     }
 
-    // Mock route data - in real app this would call your routing service
-    const mockRouteData = {
-      route: {
-        coordinates: [selectedOrigin, selectedDestination],
-        distance: 2.5, // km
-        duration: 30, // minutes
-      },
-      checkpoints: [selectedOrigin, selectedDestination],
-      story: {
-        title: "Urban Exploration Adventure",
-        chapters: [
-          { title: "Starting Your Journey", content: "Welcome to your walking adventure..." },
-          { title: "Arrival", content: "You've reached your destination..." }
-        ]
-      },
-      metadata: {
-        origin: `${selectedOrigin.lat.toFixed(4)}, ${selectedOrigin.lng.toFixed(4)}`,
-        destination: `${selectedDestination.lat.toFixed(4)}, ${selectedDestination.lng.toFixed(4)}`,
-        distance: 2.5,
-        duration: 30,
-        estimatedCalories: 125
-      }
-    };
+    onLoading(true);
+
+    try {
+      const [origin, destination] = await Promise.all([
+        toPlace(selectedOrigin),
+        toPlace(selectedDestination),
+      ]);
 
-    onRouteSelected(mockRouteData);
+      const routeData = await planWalkingRoute({ origin, destination, storyPreferences });
+
+      onRouteSelected(routeData);
+    } catch (error) {
+      console.error('Route calculation failed:', error);
+      onError('Failed to calculate route: ' + error.message);
+    } finally {
+      onLoading(false);
+    }
   };
 
   return (
@@ -181,10 +261,74 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
               type="text"
               placeholder="Search for places..."
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={(e) => {
+                setSearchQuery(e.target.value);
+                setShowSuggestions(true);
+                setActiveSuggestion(-1);
+              }}
+              onFocus={() => setShowSuggestions(true)}
+              onKeyDown={handleSearchKeyDown}
+              role="combobox"
+              aria-expanded={showSuggestions && suggestions.length > 0}
+              aria-controls="place-suggestions"
+              aria-activedescendant={
+                activeSuggestion >= 0 ? `place-suggestion-${activeSuggestion}` : undefined
+              }
               className="w-full pl-12 pr-4 py-4 rounded-2xl bg-white shadow-xl border-0 text-base font-medium placeholder-gray-400"
               style={{ fontSize: '16px' }}
             />
+            {isSearching && (
+              <Loader className="absolute right-4 top-4 w-5 h-5 text-gray-400 animate-spin" />
+            )}
+
+            {/* Search Suggestions */}
+            {showSuggestions && suggestions.length > 0 && (
+              <ul
+                id="place-suggestions"
+                role="listbox"
+                className="absolute left-0 right-0 mt-2 bg-white rounded-2xl shadow-2xl overflow-hidden"
+              >
+                {suggestions.map((place, index) => (
+                  <li
+                    key={`${place.lat},${place.lng},${index}`}
+                    id={`place-suggestion-${index}`}
+                    role="option"
+                    aria-selected={index === activeSuggestion}
+                    onMouseEnter={() => setActiveSuggestion(index)}
+                    className={`flex items-center gap-3 px-4 py-3 ${
+                      index === activeSuggestion ? 'bg-gray-100' : ''
+                    }`}
+                  >
+                    <MapPin className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <button
+                      className="flex-1 text-left text-sm text-gray-800 truncate"
+                      onClick={() => {
+                        setCenter([place.lat, place.lng]);
+                        setZoom(16);
+                      }}
+                      title="Show on map"
+                    >
+                      {place.name}
+                      {place.distance !== null && (
+                        <span className="text-xs text-gray-400"> · {formatDistance(place.distance)}</span>
+                      )}
+                    </button>
+                    <button
+                      className="text-xs text-green-600 font-medium bg-green-50 px-3 py-1 rounded-full hover:bg-green-100 transition-all"
+                      onClick={() => selectSuggestion(place, 'origin')}
+                    >
+                      Start
+                    </button>
+                    <button
+                      className="text-xs text-red-600 font-medium bg-red-50 px-3 py-1 rounded-full hover:bg-red-100 transition-all"
+                      onClick={() => selectSuggestion(place, 'destination')}
+                    >
+                      End
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
           <button
             onClick={getCurrentLocation}
@@ -242,8 +386,11 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
           />
           
+          <MapController center={center} zoom={zoom} />
+
           <MapClickHandler 
             onLocationSelect={handleLocationSelect} 
+            onMoveEnd={setMapCenter}
             mode={selectMode ? 'select' : null}
           />
           
@@ -253,7 +400,7 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
                 <div className="text-center">
                   <div className="font-bold text-green-600">Starting Point</div>
                   <div className="text-sm text-gray-600">
-                    {selectedOrigin.lat.toFixed(4)}, {selectedOrigin.lng.toFixed(4)}
+                    {selectedOrigin.address || `${selectedOrigin.lat.toFixed(4)}, ${selectedOrigin.lng.toFixed(4)}`}
                   </div>
                 </div>
               </Popup>
@@ -266,7 +413,7 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
                 <div className="text-center">
                   <div className="font-bold text-red-600">Destination</div>
                   <div className="text-sm text-gray-600">
-                    {selectedDestination.lat.toFixed(4)}, {selectedDestination.lng.toFixed(4)}
+                    {selectedDestination.address || `${selectedDestination.lat.toFixed(4)}, ${selectedDestination.lng.toFixed(4)}`}
                   </div>
                 </div>
               </Popup>
@@ -390,6 +537,16 @@ export function InteractiveMapSelector({ onRouteSelected, onError }) {
               </div>
             </div>
             
+            {selectedOrigin && selectedDestination && (
+              <div className="mb-4">
+                <StoryPreferencesPicker
+                  preferences={storyPreferences}
+                  onChange={updateStoryPreferences}
+                  selectClassName="text-sm text-gray-800 border border-gray-200 rounded-lg px-2 py-1"
+                />
+              </div>
+            )}
+
             {selectedOrigin && selectedDestination && (
               <button
                 onClick={startRoute}
@@ -1,8 +1,15 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, Polyline, Popup, useMap } from 'react-leaflet';
-import { MapPin, Navigation, Clock, Route, AlertTriangle } from 'lucide-react';
-import { calculateDistance, watchPosition } from '../utils/leafletMaps';
-import { saveTrip } from '../utils/database';
+import { MapPin, Navigation, Clock, Route, AlertTriangle, Volume2, VolumeX, ArrowUp, ArrowLeft, ArrowRight, ArrowUpLeft, ArrowUpRight, RotateCcw, Flag, Pause, Play } from 'lucide-react';
+import { calculateDistance, calculateWalkingRoute, distanceToPolyline, watchPosition } from '../utils/leafletMaps';
+import { buildInstructions, advanceInstructionIndex, formatStepDistance, formatSpokenPrompt, isOffRoute, ANNOUNCE_DISTANCE, GUIDANCE_LANGUAGE, REROUTE_DELAY } from '../utils/navigation';
+import { audioService } from '../utils/audio';
+import { getRouteTripDetails } from '../utils/tripSession';
+import { getEligibleCheckpoints, getRemainingCheckpointOrder, hasReachedFinish, DEFAULT_PROGRESSION_MODE } from '../utils/progression';
+import { createCheckpointDetector } from '../utils/checkpointDetection';
+import { formatPlaceAddress } from '../utils/geocoding';
+import { useTripSession } from '../hooks/useTripSession';
+import { savePreference, getPreference, getTrackPoints } from '../utils/database';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 
@@ -58,6 +65,27 @@ const currentPositionIcon = L.divIcon({
   iconAnchor: [11, 11]
 });
 
+// Icon for the upcoming manoeuvre
+const getManeuverIcon = (instruction) => {
+  if (instruction.type === 'arrive') return Flag;
+  switch (instruction.modifier) {
+    case 'left':
+    case 'sharp left':
+      return ArrowLeft;
+    case 'right':
+    case 'sharp right':
+      return ArrowRight;
+    case 'slight left':
+      return ArrowUpLeft;
+    case 'slight right':
+      return ArrowUpRight;
+    case 'uturn':
+      return RotateCcw;
+    default:
+      return ArrowUp;
+  }
+};
+
 export function LeafletMapView({ 
   route, 
   checkpoints, 
@@ -66,150 +94,278 @@ export function LeafletMapView({
   onPositionUpdate, 
   onCheckpointReached, 
   onTripCompleted,
+  onRouteUpdated,
+  onPauseChange,
+  resumeProgress,
+  onProgressChange,
   onError 
 }) {
   const [isTracking, setIsTracking] = useState(false);
-  const [tripStartTime, setTripStartTime] = useState(null);
-  const [totalDistance, setTotalDistance] = useState(0);
   const [mapCenter, setMapCenter] = useState([10.7769, 106.7029]); // Default to Ho Chi Minh City
   const [mapZoom, setMapZoom] = useState(13);
-  const watchIdRef = useRef(null);
-  const lastPositionRef = useRef(null);
+  const [nextInstructionIndex, setNextInstructionIndex] = useState(0);
+  const [voiceGuidance, setVoiceGuidance] = useState(true);
+  const [progressionMode, setProgressionMode] = useState(DEFAULT_PROGRESSION_MODE);
+  const [trackLatLngs, setTrackLatLngs] = useState([]);
+  const announcedInstructionsRef = useRef(new Set());
+  const [offRoute, setOffRoute] = useState(false);
+  const [isRerouting, setIsRerouting] = useState(false);
+  const [rerouteFailed, setRerouteFailed] = useState(false);
+  const offRouteSinceRef = useRef(null);
+  // Decisions are echoed to the console in development
+  const [checkpointDetector] = useState(() => createCheckpointDetector({ debug: import.meta.env.DEV }));
+
+  // Distance, time, pauses and the saved record all live in the trip session
+  const tripDetails = useMemo(() => getRouteTripDetails(route, checkpoints), [route, checkpoints]);
+  const { trip, stats } = useTripSession(tripDetails);
+  const { totalDistance, isPaused, pauseReason } = stats;
+
+  // Turn-by-turn instructions from the route steps
+  const instructions = useMemo(() => buildInstructions(route?.steps), [route]);
+  const routeCoordinates = useMemo(() => route?.geometry?.coordinates || [], [route]);
+  const upcomingInstruction = instructions[nextInstructionIndex];
+  const ManeuverIcon = upcomingInstruction ? getManeuverIcon(upcomingInstruction) : null;
+
+  // Start the trip when component mounts
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      onError('Geolocation is not supported by this browser');
+      return;
+    }
 
-  // Get route details
-  const estimatedDistance = route?.distance || 0;
-  const estimatedDuration = route?.duration || 0;
+    // Carry on the walk saved before the page was closed, if there is one;
+    // a session that has already started (or ended) isn't started again
+    const started = trip.start(
+      resumeProgress ? { progress: resumeProgress, savedAt: resumeProgress.savedAt } : undefined
+    );
+    if (!started) return;
+
+    setIsTracking(true);
+    if (resumeProgress) {
+      getTrackPoints(resumeProgress.trackId)
+        .then((points) => {
+          setTrackLatLngs(prev => [...points.map((point) => [point.lat, point.lng]), ...prev]);
+        })
+        .catch((error) => console.error('Failed to load track:', error));
+    }
+  }, [trip, resumeProgress, onError]);
 
-  // Start tracking when component mounts
+  // Follow the walker's position for as long as the trip is tracked
   useEffect(() => {
-    const startTracking = () => {
-      if (!navigator.geolocation) {
-        onError('Geolocation is not supported by this browser');
-        return;
+    if (!isTracking) return;
+
+    const watchId = watchPosition(
+      (position) => {
+        // Drop inaccurate fixes and jumps, smooth the rest
+        const { accepted, position: newPosition } = trip.update({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          timestamp: position.timestamp,
+          speed: position.coords.speed,
+          heading: position.coords.heading,
+        });
+        if (!accepted) return;
+
+        setTrackLatLngs(prev => [...prev, [newPosition.lat, newPosition.lng]]);
+
+        // Update map center to follow user
+        setMapCenter([newPosition.lat, newPosition.lng]);
+
+        onPositionUpdate(newPosition);
+      },
+      (error) => {
+        console.error('Geolocation error:', error);
+        onError(`Location tracking error: ${error.message}`);
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 5000,
       }
+    );
 
-      setIsTracking(true);
-      setTripStartTime(new Date());
-
-      watchIdRef.current = watchPosition(
-        (position) => {
-          const newPosition = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-            timestamp: position.timestamp,
-          };
-
-          // Update map center to follow user
-          setMapCenter([newPosition.lat, newPosition.lng]);
-
-          // Update total distance
-          if (lastPositionRef.current) {
-            const distance = calculateDistance(
-              lastPositionRef.current.lat,
-              lastPositionRef.current.lng,
-              newPosition.lat,
-              newPosition.lng
-            );
-            setTotalDistance(prev => prev + distance / 1000); // Convert to km
-          }
-
-          lastPositionRef.current = newPosition;
-          onPositionUpdate(newPosition);
-        },
-        (error) => {
-          console.error('Geolocation error:', error);
-          onError(`Location tracking error: ${error.message}`);
-        },
-        {
-          enableHighAccuracy: true,
-          timeout: 15000,
-          maximumAge: 5000,
-        }
-      );
-    };
-
-    if (!isTracking) {
-      startTracking();
-    }
-    
     return () => {
-      if (watchIdRef.current) {
-        navigator.geolocation.clearWatch(watchIdRef.current);
-      }
+      navigator.geolocation.clearWatch(watchId);
     };
-  }, [isTracking, onError, onPositionUpdate]);
+  }, [isTracking, trip, onError, onPositionUpdate]);
 
-  // Check for checkpoint proximity and completion
+  // Report trip progress so the session can be saved and resumed after a crash
   useEffect(() => {
-    const completeTrip = async () => {
-      if (!tripStartTime) return;
-
-      const endTime = new Date();
-      const actualDuration = (endTime - tripStartTime) / 1000 / 60; // minutes
-
-      const tripSummary = {
-        startTime: tripStartTime,
-        endTime,
-        estimatedDistance,
-        actualDistance: totalDistance,
-        estimatedDuration,
-        actualDuration,
-        route: {
-          origin: route?.origin || 'Unknown',
-          destination: route?.destination || 'Unknown',
-        },
-        checkpointsCompleted: completedCheckpoints.length,
-        totalCheckpoints: checkpoints.length,
-        estimatedCalories: Math.round(totalDistance * 50),
-      };
+    if (stats.status !== 'active') return;
+    onProgressChange?.(trip.getProgress());
+  }, [trip, stats.status, stats.totalDistance, stats.pauseReason, stats.completedCheckpoints, onProgressChange]);
 
-      try {
-        await saveTrip(tripSummary);
-      } catch (error) {
-        console.error('Failed to save trip:', error);
-      }
+  // Save the trip once and hand the summary over; later calls do nothing
+  const settleTrip = useCallback(async (completed) => {
+    const tripSummary = completed ? await trip.finish() : await trip.abandon();
+    if (!tripSummary) return;
+
+    // Stops the position watch
+    setIsTracking(false);
+    onTripCompleted(tripSummary);
+  }, [trip, onTripCompleted]);
 
-      // Stop tracking
-      if (watchIdRef.current) {
-        navigator.geolocation.clearWatch(watchIdRef.current);
-        watchIdRef.current = null;
+  // Check for checkpoint proximity and completion
+  useEffect(() => {
+    // Nothing is reached while the trip is paused
+    if (!currentPosition || isPaused) return;
+
+    // Only the checkpoints the progression mode allows right now count
+    const eligible = getEligibleCheckpoints(progressionMode, checkpoints, completedCheckpoints, currentPosition);
+    // Counted only after a few fixes or a short dwell inside the zone
+    checkpointDetector.process(currentPosition, checkpoints, eligible).forEach((index) => {
+      if (trip.checkpoint(index)) {
+        onCheckpointReached(index);
       }
+    });
 
-      setIsTracking(false);
-      onTripCompleted(tripSummary);
-    };
+    if (hasReachedFinish({ route, position: currentPosition, totalDistance })) {
+      settleTrip(true);
+    }
+  }, [currentPosition, checkpoints, completedCheckpoints, route, trip, checkpointDetector, progressionMode, totalDistance, onCheckpointReached, settleTrip, isPaused]);
+
+  // Start guidance afresh whenever the route is recalculated
+  useEffect(() => {
+    setNextInstructionIndex(0);
+    announcedInstructionsRef.current = new Set();
+  }, [instructions]);
 
-    if (!currentPosition || !checkpoints.length) return;
+  // Advance the instruction banner as the walker passes each manoeuvre
+  useEffect(() => {
+    if (!currentPosition || !instructions.length) return;
 
-    // Check checkpoint proximity
-    checkpoints.forEach((checkpoint, index) => {
-      if (completedCheckpoints.includes(index)) return;
+    setNextInstructionIndex((index) =>
+      advanceInstructionIndex(instructions, index, currentPosition)
+    );
+  }, [currentPosition, instructions]);
 
-      const distance = calculateDistance(
-        currentPosition.lat,
-        currentPosition.lng,
-        checkpoint.position.lat,
-        checkpoint.position.lng
-      );
+  // Detect sustained deviation from the route and recalculate the rest of it
+  useEffect(() => {
+    if (!currentPosition || !routeCoordinates.length || isRerouting || isPaused) return;
 
-      // Trigger checkpoint if within 50 meters
-      if (distance <= 50) {
-        onCheckpointReached(index);
+    const distanceFromRoute = distanceToPolyline(currentPosition, routeCoordinates);
+    const nowOffRoute = isOffRoute(offRoute, distanceFromRoute, currentPosition.accuracy);
+
+    if (nowOffRoute !== offRoute) {
+      setOffRoute(nowOffRoute);
+      setRerouteFailed(false);
+    }
+
+    if (!nowOffRoute) {
+      offRouteSinceRef.current = null;
+      return;
+    }
+
+    const now = currentPosition.timestamp || Date.now();
+    if (!offRouteSinceRef.current) {
+      offRouteSinceRef.current = now;
+      return;
+    }
+    if (now - offRouteSinceRef.current < REROUTE_DELAY) return;
+
+    // Route from here through the checkpoints still to come, in the order the
+    // progression mode takes them; completed checkpoints and the story
+    // position are left as they are
+    const reroute = async () => {
+      setIsRerouting(true);
+      try {
+        const remainingCheckpoints = getRemainingCheckpointOrder(
+          progressionMode,
+          checkpoints,
+          completedCheckpoints,
+          currentPosition
+        ).map((index) => checkpoints[index].position);
+
+        const newRoute = await calculateWalkingRoute(
+          { lat: currentPosition.lat, lng: currentPosition.lng },
+          route.destCoords,
+          remainingCheckpoints
+        );
+
+        onRouteUpdated({
+          ...newRoute,
+          // Keep the planned trip's endpoints and estimates for the summary
+          origin: route.origin,
+          destination: route.destination,
+          originCoords: route.originCoords,
+          destCoords: route.destCoords,
+          distance: route.distance,
+          duration: route.duration,
+          isLoop: route.isLoop,
+          // New legs only cover the rest of the walk; history shows the plan
+          plannedGeometry: route.plannedGeometry || route.geometry,
+          rerouteCount: (route.rerouteCount || 0) + 1,
+        });
+        setOffRoute(false);
+      } catch (error) {
+        console.warn('Rerouting failed:', error);
+        setRerouteFailed(true);
+      } finally {
+        // Give the walker another full delay before trying again
+        offRouteSinceRef.current = null;
+        setIsRerouting(false);
       }
-    });
+    };
+
+    reroute();
+  }, [currentPosition, routeCoordinates, offRoute, isRerouting, isPaused, checkpoints, completedCheckpoints, progressionMode, route, onRouteUpdated]);
 
-    // Check if reached destination (when all checkpoints completed or very close to end)
-    if (route && (completedCheckpoints.length === checkpoints.length || 
-        calculateDistance(
-          currentPosition.lat,
-          currentPosition.lng,
-          route.destCoords.lat,
-          route.destCoords.lng
-        ) <= 50)) {
-      completeTrip();
+  // Load the spoken guidance and checkpoint order preferences
+  useEffect(() => {
+    getPreference('voiceGuidance')
+      .then((enabled) => {
+        if (enabled !== undefined) setVoiceGuidance(enabled);
+      })
+      .catch(console.error);
+
+    getPreference('progressionMode')
+      .then((mode) => {
+        if (mode) setProgressionMode(mode);
+      })
+      .catch(console.error);
+  }, []);
+
+  // Speak each upcoming manoeuvre once as the walker approaches it
+  useEffect(() => {
+    if (!voiceGuidance || !currentPosition || !upcomingInstruction || isPaused) return;
+    // The walk starts where it departs, so there's nothing to announce
+    if (upcomingInstruction.type === 'depart') return;
+    if (announcedInstructionsRef.current.has(nextInstructionIndex)) return;
+
+    const distance = calculateDistance(
+      currentPosition.lat,
+      currentPosition.lng,
+      upcomingInstruction.location.lat,
+      upcomingInstruction.location.lng
+    );
+
+    if (distance <= ANNOUNCE_DISTANCE) {
+      announcedInstructionsRef.current.add(nextInstructionIndex);
+      audioService
+        .announce(formatSpokenPrompt(upcomingInstruction, distance), { lang: GUIDANCE_LANGUAGE })
+        .catch((error) => console.warn('Navigation prompt failed:', error));
+    }
+  }, [voiceGuidance, currentPosition, upcomingInstruction, nextInstructionIndex, isPaused]);
+
+  // Let the story narration pause along with the trip
+  useEffect(() => {
+    onPauseChange?.(isPaused);
+  }, [isPaused, onPauseChange]);
+
+  const togglePause = () => {
+    if (isPaused) {
+      trip.resume();
+    } else {
+      trip.pause();
     }
-  }, [currentPosition, checkpoints, completedCheckpoints, route, onCheckpointReached, tripStartTime, estimatedDistance, totalDistance, estimatedDuration, onTripCompleted]);
+  };
+
+  const toggleVoiceGuidance = () => {
+    const enabled = !voiceGuidance;
+    setVoiceGuidance(enabled);
+    savePreference('voiceGuidance', enabled).catch(console.error);
+  };
 
   const centerOnUser = () => {
     if (currentPosition) {
@@ -218,38 +374,13 @@ export function LeafletMapView({
     }
   };
 
+  // Ending early still saves the trip, flagged as incomplete
   const handleEndTrip = () => {
-    if (watchIdRef.current) {
-      navigator.geolocation.clearWatch(watchIdRef.current);
-      watchIdRef.current = null;
-    }
-    setIsTracking(false);
-    
-    // Force complete trip
-    const endTime = new Date();
-    const actualDuration = tripStartTime ? (endTime - tripStartTime) / 1000 / 60 : 0;
-
-    const tripSummary = {
-      startTime: tripStartTime || endTime,
-      endTime,
-      estimatedDistance,
-      actualDistance: totalDistance,
-      estimatedDuration,
-      actualDuration,
-      route: {
-        origin: route?.origin || 'Unknown',
-        destination: route?.destination || 'Unknown',
-      },
-      checkpointsCompleted: completedCheckpoints.length,
-      totalCheckpoints: checkpoints.length,
-      estimatedCalories: Math.round(totalDistance * 50),
-    };
-
-    onTripCompleted(tripSummary);
+    settleTrip(false);
   };
 
   // Prepare route coordinates for Polyline
-  const routeCoordinates = route?.geometry?.coordinates?.map(([lng, lat]) => [lat, lng]) || [];
+  const routeLatLngs = routeCoordinates.map(([lng, lat]) => [lat, lng]);
 
   return (
     <div className="leaflet-map-view">
@@ -263,11 +394,11 @@ export function LeafletMapView({
                   <Route className="w-4 h-4" />
                   <span>{totalDistance.toFixed(2)} km</span>
                 </div>
-                {tripStartTime && (
+                {stats.startTime && (
                   <div className="flex items-center gap-1">
                     <Clock className="w-4 h-4" />
                     <span>
-                      {Math.floor((Date.now() - tripStartTime) / 1000 / 60)} min
+                      {Math.floor(stats.movingTime / 1000 / 60)} min
                     </span>
                   </div>
                 )}
@@ -278,7 +409,13 @@ export function LeafletMapView({
               </div>
               
               <div className="flex items-center gap-2">
-                {isTracking && (
+                {isTracking && isPaused && (
+                  <div className="flex items-center gap-1">
+                    <Pause className="w-4 h-4" />
+                    <span>{pauseReason === 'auto' ? 'Auto-paused' : 'Paused'}</span>
+                  </div>
+                )}
+                {isTracking && !isPaused && (
                   <div className="flex items-center gap-1">
                     <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
                     <span className="text-green-600">Tracking</span>
@@ -290,6 +427,51 @@ export function LeafletMapView({
         </div>
       </div>
 
+      {/* Off Route */}
+      {offRoute && (
+        <div className="off-route-banner">
+          <div className="container p-4">
+            <div
+              className="card flex items-center gap-2 text-sm text-left"
+              style={{ backgroundColor: '#fffbeb', borderColor: '#fde68a', color: '#b45309' }}
+            >
+              <AlertTriangle className="w-4 h-4" />
+              <span>
+                {isRerouting
+                  ? 'Off route - recalculating your way back...'
+                  : rerouteFailed
+                    ? 'Off route - could not recalculate, head back to the blue line'
+                    : 'You seem to be off route'}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Upcoming Instruction */}
+      {upcomingInstruction && (
+        <div className="instruction-banner">
+          <div className="container p-4">
+            <div className="card flex items-center gap-4 text-left">
+              <ManeuverIcon className="w-8 h-8" />
+              <div>
+                {currentPosition && (
+                  <div className="text-sm" style={{ color: 'var(--text-secondary)' }}>
+                    In {formatStepDistance(calculateDistance(
+                      currentPosition.lat,
+                      currentPosition.lng,
+                      upcomingInstruction.location.lat,
+                      upcomingInstruction.location.lng
+                    ))}
+                  </div>
+                )}
+                <div className="font-bold">{upcomingInstruction.text}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Map */}
       <div className="map-container">
         <MapContainer
@@ -307,15 +489,26 @@ export function LeafletMapView({
           />
 
           {/* Route line */}
-          {routeCoordinates.length > 0 && (
+          {routeLatLngs.length > 0 && (
             <Polyline 
-              positions={routeCoordinates}
+              positions={routeLatLngs}
               color="#2563eb"
               weight={4}
               opacity={0.8}
             />
           )}
 
+          {/* Walked track */}
+          {trackLatLngs.length > 1 && (
+            <Polyline
+              positions={trackLatLngs}
+              color="#f97316"
+              weight={3}
+              opacity={0.9}
+              dashArray="4 6"
+            />
+          )}
+
           {/* Start marker */}
           {route?.originCoords && (
             <Marker 
@@ -357,6 +550,16 @@ export function LeafletMapView({
                 <div>
                   <strong>Checkpoint {index + 1}</strong><br />
                   {checkpoint.description}<br />
+                  {checkpoint.poi && (
+                    <>
+                      <em>{checkpoint.poi.category}</em><br />
+                    </>
+                  )}
+                  {checkpoint.address && formatPlaceAddress(checkpoint.address) !== checkpoint.description && (
+                    <>
+                      <small>{formatPlaceAddress(checkpoint.address)}</small><br />
+                    </>
+                  )}
                   {completedCheckpoints.includes(index) && 
                     <span style={{ color: '#10b981' }}>✓ Completed</span>
                   }
@@ -393,7 +596,24 @@ export function LeafletMapView({
               <Navigation className="w-4 h-4" />
               Center on Me
             </button>
+
+            <button
+              className="btn btn-secondary"
+              onClick={toggleVoiceGuidance}
+              title={voiceGuidance ? 'Mute spoken directions' : 'Speak directions'}
+            >
+              {voiceGuidance ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+            </button>
             
+            <button
+              className="btn btn-secondary"
+              onClick={togglePause}
+              disabled={!isTracking}
+              title={isPaused ? 'Resume trip' : 'Pause trip'}
+            >
+              {isPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+            </button>
+
             <button
               className="btn btn-warning"
               onClick={handleEndTrip}
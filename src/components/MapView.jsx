@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import {
   GoogleMap,
   DirectionsRenderer,
@@ -7,7 +7,7 @@ import {
 } from "@react-google-maps/api";
 import { MapPin, Navigation, Clock, Route, AlertTriangle } from "lucide-react";
 import { calculateDistance, watchPosition } from "../utils/maps";
-import { saveTrip } from "../utils/database";
+import { useTripSession } from "../hooks/useTripSession";
 
 const libraries = ["places"];
 
@@ -37,11 +37,7 @@ export function MapView({
 }) {
   const [map, setMap] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
-  const [tripStartTime, setTripStartTime] = useState(null);
-  const [totalDistance, setTotalDistance] = useState(0);
   const [isOffRoute, setIsOffRoute] = useState(false);
-  const watchIdRef = useRef(null);
-  const lastPositionRef = useRef(null);
 
   const { isLoaded, loadError } = useJsApiLoader({
     id: "google-map-script",
@@ -55,103 +51,90 @@ export function MapView({
   const estimatedDistance = routeLeg?.distance?.value / 1000 || 0; // km
   const estimatedDuration = routeLeg?.duration?.value / 60 || 0; // minutes
 
-  // Start tracking when component mounts
-  useEffect(() => {
-    const startTracking = () => {
-      if (!navigator.geolocation) {
-        onError("Geolocation is not supported by this browser");
-        return;
-      }
-
-      setIsTracking(true);
-      setTripStartTime(new Date());
-
-      watchIdRef.current = watchPosition(
-        (position) => {
-          const newPosition = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-            timestamp: position.timestamp,
-          };
-
-          // Update total distance
-          if (lastPositionRef.current) {
-            const distance = calculateDistance(
-              lastPositionRef.current.lat,
-              lastPositionRef.current.lng,
-              newPosition.lat,
-              newPosition.lng
-            );
-            setTotalDistance((prev) => prev + distance / 1000); // Convert to km
-          }
+  // Distance, time and the saved record all live in the trip session
+  const tripDetails = useMemo(
+    () => ({
+      origin: routeLeg?.start_address,
+      destination: routeLeg?.end_address,
+      estimatedDistance,
+      estimatedDuration,
+      totalCheckpoints: checkpoints.length,
+      routeGeometry: (routeDetails?.overview_path || []).map((point) => [
+        point.lng(),
+        point.lat(),
+      ]),
+    }),
+    [routeLeg, routeDetails, estimatedDistance, estimatedDuration, checkpoints]
+  );
+  const { trip, stats } = useTripSession(tripDetails);
+  const { totalDistance } = stats;
 
-          lastPositionRef.current = newPosition;
-          onPositionUpdate(newPosition);
-        },
-        (error) => {
-          console.error("Geolocation error:", error);
-          onError(`Location tracking error: ${error.message}`);
-        },
-        {
-          enableHighAccuracy: true,
-          timeout: 15000,
-          maximumAge: 5000,
-        }
-      );
-    };
+  // Start the trip once the map has loaded
+  useEffect(() => {
+    if (!isLoaded) return;
 
-    if (isLoaded && !isTracking) {
-      startTracking();
+    if (!navigator.geolocation) {
+      onError("Geolocation is not supported by this browser");
+      return;
     }
 
-    return () => {
-      if (watchIdRef.current) {
-        navigator.geolocation.clearWatch(watchIdRef.current);
-      }
-    };
-  }, [isLoaded, isTracking, onError, onPositionUpdate]);
+    if (trip.start()) {
+      setIsTracking(true);
+    }
+  }, [isLoaded, trip, onError]);
 
-  // Check for checkpoint proximity when position updates
+  // Follow the walker's position for as long as the trip is tracked
   useEffect(() => {
-    const completeTrip = async () => {
-      if (!tripStartTime) return;
-
-      const endTime = new Date();
-      const actualDuration = (endTime - tripStartTime) / 1000 / 60; // minutes
-
-      const tripSummary = {
-        startTime: tripStartTime,
-        endTime,
-        estimatedDistance,
-        actualDistance: totalDistance,
-        estimatedDuration,
-        actualDuration,
-        route: {
-          origin: routeLeg?.start_address,
-          destination: routeLeg?.end_address,
-        },
-        checkpointsCompleted: completedCheckpoints.length,
-        totalCheckpoints: checkpoints.length,
-        estimatedCalories: Math.round(totalDistance * 50),
-      };
-
-      try {
-        await saveTrip(tripSummary);
-      } catch (error) {
-        console.error("Failed to save trip:", error);
+    if (!isTracking) return;
+
+    const watchId = watchPosition(
+      (position) => {
+        // Drop inaccurate fixes and jumps, smooth the rest
+        const { accepted, position: newPosition } = trip.update({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          timestamp: position.timestamp,
+          speed: position.coords.speed,
+          heading: position.coords.heading,
+        });
+        if (!accepted) return;
+
+        onPositionUpdate(newPosition);
+      },
+      (error) => {
+        console.error("Geolocation error:", error);
+        onError(`Location tracking error: ${error.message}`);
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 5000,
       }
+    );
 
-      // Stop tracking
-      if (watchIdRef.current) {
-        navigator.geolocation.clearWatch(watchIdRef.current);
-        watchIdRef.current = null;
-      }
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+    };
+  }, [isTracking, trip, onError, onPositionUpdate]);
 
+  // Save the trip once and hand the summary over; later calls do nothing
+  const settleTrip = useCallback(
+    async (completed) => {
+      const tripSummary = completed
+        ? await trip.finish()
+        : await trip.abandon();
+      if (!tripSummary) return;
+
+      // Stops the position watch
       setIsTracking(false);
       onTripCompleted(tripSummary);
-    };
+    },
+    [trip, onTripCompleted]
+  );
 
+  // Check for checkpoint proximity when position updates
+  useEffect(() => {
     const checkCheckpointProximity = () => {
       if (!currentPosition) return;
 
@@ -166,7 +149,7 @@ export function MapView({
         );
 
         // Trigger checkpoint if within 50 meters
-        if (distance <= 50) {
+        if (distance <= 50 && trip.checkpoint(index)) {
           onCheckpointReached(index);
         }
       });
@@ -181,7 +164,7 @@ export function MapView({
         );
 
         if (destDistance <= 50) {
-          completeTrip();
+          settleTrip(true);
         }
       }
     };
@@ -216,50 +199,14 @@ export function MapView({
     completedCheckpoints,
     routeLeg,
     routeDetails,
+    trip,
     onCheckpointReached,
-    tripStartTime,
-    estimatedDistance,
-    totalDistance,
-    estimatedDuration,
-    onTripCompleted,
+    settleTrip,
   ]);
 
-  const completeTrip = async () => {
-    if (!tripStartTime) return;
-
-    const endTime = new Date();
-    const actualDuration = (endTime - tripStartTime) / 1000 / 60; // minutes
-
-    const tripSummary = {
-      startTime: tripStartTime,
-      endTime,
-      estimatedDistance,
-      actualDistance: totalDistance,
-      estimatedDuration,
-      actualDuration,
-      route: {
-        origin: routeLeg?.start_address,
-        destination: routeLeg?.end_address,
-      },
-      checkpointsCompleted: completedCheckpoints.length,
-      totalCheckpoints: checkpoints.length,
-      estimatedCalories: Math.round(totalDistance * 50),
-    };
-
-    try {
-      await saveTrip(tripSummary);
-    } catch (error) {
-      console.error("Failed to save trip:", error);
-    }
-
-    // Stop tracking
-    if (watchIdRef.current) {
-      navigator.geolocation.clearWatch(watchIdRef.current);
-      watchIdRef.current = null;
-    }
-
-    setIsTracking(false);
-    onTripCompleted(tripSummary);
+  // Ending early still saves the trip, flagged as incomplete
+  const handleEndTrip = () => {
+    settleTrip(false);
   };
 
   if (loadError) {
@@ -301,11 +248,11 @@ export function MapView({
                   <Route className="w-4 h-4" />
                   <span>{totalDistance.toFixed(2)} km</span>
                 </div>
-                {tripStartTime && (
+                {stats.startTime && (
                   <div className="flex items-center gap-1">
                     <Clock className="w-4 h-4" />
                     <span>
-                      {Math.floor((Date.now() - tripStartTime) / 1000 / 60)} min
+                      {Math.floor(stats.movingTime / 1000 / 60)} min
                     </span>
                   </div>
                 )}
@@ -422,7 +369,7 @@ export function MapView({
 
             <button
               className="btn btn-warning"
-              onClick={completeTrip}
+              onClick={handleEndTrip}
               disabled={!isTracking}
             >
               End Trip
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { Clock, Star, Loader } from "lucide-react";
+import { usePlaceSuggestions } from "../hooks/usePlaceSuggestions";
+
+// Text input with address suggestions plus recent and saved places.
+// `onSelect` receives a resolved place { name, lat, lng } so callers don't
+// have to geocode the text again.
+export function PlaceInput({
+  value,
+  onChange,
+  onSelect,
+  placeholder,
+  recentPlaces = [],
+  savedPlaces = [],
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Only what the user types is searched: a picked place's name would cost
+  // another rate-limited lookup and bring the list back
+  const [isTyping, setIsTyping] = useState(false);
+  const { suggestions, isSearching, error } = usePlaceSuggestions(
+    isTyping ? value : ""
+  );
+
+  // With no query, offer saved places first, then recent ones
+  const showingShortcuts = value.trim().length === 0;
+  const options = showingShortcuts
+    ? [
+        ...savedPlaces.map((place) => ({ ...place, kind: "saved" })),
+        ...recentPlaces.map((place) => ({ ...place, kind: "recent" })),
+      ]
+    : suggestions.map((place) => ({ ...place, kind: "search" }));
+
+  const selectOption = (option) => {
+    onSelect({ name: option.name, lat: option.lat, lng: option.lng });
+    setIsTyping(false);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || options.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((prev) => (prev + 1) % options.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((prev) => (prev <= 0 ? options.length - 1 : prev - 1));
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      // Don't submit the form while picking a suggestion
+      e.preventDefault();
+      selectOption(options[activeIndex]);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="place-input">
+      <input
+        type="text"
+        className="input"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsTyping(true);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        autoComplete="off"
+      />
+      {isSearching && <Loader className="place-input-spinner w-4 h-4 animate-spin" />}
+
+      {isOpen && (options.length > 0 || error) && (
+        <ul className="place-suggestions" role="listbox">
+          {error && !showingShortcuts && (
+            <li className="place-suggestion text-sm status-offline">{error}</li>
+          )}
+          {options.map((option, index) => (
+            <li
+              key={`${option.kind}-${option.label || ""}-${option.lat},${option.lng}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`place-suggestion text-sm text-left ${
+                index === activeIndex ? "active" : ""
+              }`}
+              // Keep focus in the input so blur doesn't close the list first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectOption(option)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              {option.kind === "saved" && <Star className="inline w-4 h-4 mr-1" />}
+              {option.kind === "recent" && <Clock className="inline w-4 h-4 mr-1" />}
+              {option.label && <strong>{option.label}: </strong>}
+              <span>{option.name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
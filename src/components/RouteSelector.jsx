@@ -1,20 +1,185 @@
-import { useState } from "react";
-import { MapPin, Navigation, Plus, Loader } from "lucide-react";
+import { useState, useEffect } from "react";
 import {
-  calculateWalkingRoute,
-  generateCheckpoints,
-  reverseGeocode,
-} from "../utils/leafletMaps";
-import { generateStory, generateFallbackStory } from "../utils/gemini";
-import { saveStory, getStory, generateRouteKey } from "../utils/database";
+  MapPin,
+  Navigation,
+  Plus,
+  Loader,
+  Star,
+  X,
+  ChevronUp,
+  ChevronDown,
+  Map as MapIcon,
+} from "lucide-react";
+import { reverseGeocode } from "../utils/leafletMaps";
+import { planWalkingRoute, buildTripData } from "../utils/routePlanner";
+import { generateLoopRoutes } from "../utils/loopRoutes";
+import {
+  PROGRESSION_MODES,
+  DEFAULT_PROGRESSION_MODE,
+} from "../utils/progression";
+import { getPreference, savePreference } from "../utils/database";
+import {
+  getRecentPlaces,
+  addRecentPlace,
+  getSavedPlaces,
+  savePlace,
+  removeSavedPlace,
+} from "../utils/places";
+import { useStoryPreferences } from "../hooks/useStoryPreferences";
+import { PlaceInput } from "./PlaceInput";
+import { WaypointMapPicker } from "./WaypointMapPicker";
+import { StoryPreferencesPicker } from "./StoryPreferencesPicker";
+
+const SAVED_PLACE_LABELS = ["Home", "Work", "Gym", "School"];
+
+// Resolved place -> coordinates object understood by calculateWalkingRoute
+const toRoutePoint = (place) => ({
+  lat: place.lat,
+  lng: place.lng,
+  address: place.name,
+});
 
 export function RouteSelector({ onRouteSelected, onError, onLoading }) {
   const [origin, setOrigin] = useState("");
   const [destination, setDestination] = useState("");
+  // Coordinates picked from suggestions, cleared when the text is edited
+  const [originPlace, setOriginPlace] = useState(null);
+  const [destinationPlace, setDestinationPlace] = useState(null);
+  const [recentPlaces, setRecentPlaces] = useState([]);
+  const [savedPlaces, setSavedPlaces] = useState([]);
+  const [savingTarget, setSavingTarget] = useState(null); // 'origin' or 'destination'
+  const [saveLabel, setSaveLabel] = useState("");
   const [isLoop, setIsLoop] = useState(false);
-  const [manualCheckpoints] = useState([]); // For future feature - manual checkpoint selection
+  // Intermediate stops, walked in order: [{ id, name, lat, lng }]
+  const [stops, setStops] = useState([]);
+  const [stopQuery, setStopQuery] = useState("");
+  const [showStopPicker, setShowStopPicker] = useState(false);
   const [numAutoCheckpoints, setNumAutoCheckpoints] = useState(4);
+  // 'distance' spreads them evenly, 'narration' leaves time for each chapter
+  const [checkpointSpacing, setCheckpointSpacing] = useState("distance");
+  const [progressionMode, setProgressionMode] = useState(
+    DEFAULT_PROGRESSION_MODE
+  );
+  // Loop target, e.g. a 30-minute walk from the door
+  const [loopTargetValue, setLoopTargetValue] = useState(30);
+  const [loopTargetType, setLoopTargetType] = useState("duration"); // 'duration' (min) or 'distance' (km)
+  const [loopCandidates, setLoopCandidates] = useState([]);
   const [isCalculating, setIsCalculating] = useState(false);
+  // The loop being prepared, so a second click can't start another trip
+  const [preparingLoop, setPreparingLoop] = useState(null);
+  const [storyPreferences, updateStoryPreferences] = useStoryPreferences();
+
+  // Load recent and saved places
+  useEffect(() => {
+    const loadPlaces = async () => {
+      try {
+        setRecentPlaces(await getRecentPlaces());
+        setSavedPlaces(await getSavedPlaces());
+      } catch (error) {
+        console.error("Failed to load places:", error);
+      }
+    };
+
+    loadPlaces();
+
+    getPreference("progressionMode")
+      .then((mode) => {
+        if (mode) setProgressionMode(mode);
+      })
+      .catch(console.error);
+  }, []);
+
+  const handleProgressionModeChange = (mode) => {
+    setProgressionMode(mode);
+    savePreference("progressionMode", mode).catch(console.error);
+  };
+
+  const handleOriginChange = (text) => {
+    setOrigin(text);
+    setOriginPlace(null);
+  };
+
+  const handleDestinationChange = (text) => {
+    setDestination(text);
+    setDestinationPlace(null);
+  };
+
+  const handleOriginSelect = (place) => {
+    setOrigin(place.name);
+    setOriginPlace(place);
+  };
+
+  const handleDestinationSelect = (place) => {
+    setDestination(place.name);
+    setDestinationPlace(place);
+  };
+
+  // Save the resolved origin/destination under a label (Home, Work, ...)
+  const handleSavePlace = async (label) => {
+    const place = savingTarget === "origin" ? originPlace : destinationPlace;
+    if (!place) return;
+
+    try {
+      setSavedPlaces(await savePlace(label, place));
+      setSavingTarget(null);
+      setSaveLabel("");
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleRemoveSavedPlace = async (label) => {
+    try {
+      setSavedPlaces(await removeSavedPlace(label));
+    } catch (error) {
+      console.error("Failed to remove saved place:", error);
+    }
+  };
+
+  const addStop = (place) => {
+    setStops((prev) => [
+      ...prev,
+      { id: `${Date.now()}-${prev.length}`, ...place },
+    ]);
+    setStopQuery("");
+  };
+
+  // Stops picked on the map are named after their street address
+  const handleStopPicked = async (latlng) => {
+    let name = `${latlng.lat.toFixed(4)}, ${latlng.lng.toFixed(4)}`;
+    try {
+      name = await reverseGeocode(latlng.lat, latlng.lng);
+    } catch (error) {
+      console.warn("Reverse geocoding failed, using coordinates:", error);
+    }
+    addStop({ name, lat: latlng.lat, lng: latlng.lng });
+  };
+
+  const moveStop = (index, offset) => {
+    setStops((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const updated = [...prev];
+      [updated[index], updated[target]] = [updated[target], updated[index]];
+      return updated;
+    });
+  };
+
+  const removeStop = (id) => {
+    setStops((prev) => prev.filter((stop) => stop.id !== id));
+  };
+
+  // Remember the resolved endpoints of a successfully planned route
+  const rememberRoutePlaces = async (route) => {
+    try {
+      await addRecentPlace({ ...route.originCoords, name: route.origin });
+      setRecentPlaces(
+        await addRecentPlace({ ...route.destCoords, name: route.destination })
+      );
+    } catch (error) {
+      console.warn("Failed to update recent places:", error);
+    }
+  };
 
   // Handle current location
   const useCurrentLocation = () => {
@@ -26,7 +191,11 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
               position.coords.latitude,
               position.coords.longitude
             );
-            setOrigin(address);
+            handleOriginSelect({
+              name: address,
+              lat: position.coords.latitude,
+              lng: position.coords.longitude,
+            });
           } catch (error) {
             console.error('Failed to get current location address:', error);
             onError('Could not determine your current address');
@@ -56,79 +225,32 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
       return;
     }
 
+    const originPoint = originPlace ? toRoutePoint(originPlace) : origin;
+
+    // Loops without stops are generated around the target length
+    if (isLoop && stops.length === 0) {
+      await findLoopRoutes(originPoint);
+      return;
+    }
+
     setIsCalculating(true);
     onLoading(true);
 
     try {
-      // Use origin as destination for loop
-      const finalDestination = isLoop ? origin : destination;
-
-      // Calculate route using OSRM
-      const routeResult = await calculateWalkingRoute(origin, finalDestination, manualCheckpoints);
-      
-      // Generate automatic checkpoints
-      const autoCheckpoints = generateCheckpoints(routeResult, numAutoCheckpoints);
-      const allCheckpoints = [...manualCheckpoints, ...autoCheckpoints];
-      
-      // Get route info
-      const distance = routeResult.distance; // km
-      const duration = routeResult.duration; // minutes
-
-      // Generate or retrieve cached story
-      const routeKey = generateRouteKey(
-        origin,
-        finalDestination,
-        allCheckpoints
-      );
-      let story = null;
-
-      try {
-        // Try to get cached story first
-        const cachedStory = await getStory(routeKey);
-        if (cachedStory && cachedStory.story) {
-          story = cachedStory.story;
-        } else {
-          // Generate new story
-          try {
-            story = await generateStory(
-              origin,
-              finalDestination,
-              allCheckpoints,
-              duration
-            );
-            // Cache the generated story
-            await saveStory(routeKey, story);
-          } catch (geminiError) {
-            console.warn(
-              "Gemini API failed, using fallback story:",
-              geminiError
-            );
-            story = generateFallbackStory(
-              origin,
-              finalDestination,
-              allCheckpoints
-            );
-          }
-        }
-      } catch (storyError) {
-        console.warn("Story generation failed, using fallback:", storyError);
-        story = generateFallbackStory(origin, finalDestination, allCheckpoints);
-      }
+      const routeData = await planWalkingRoute({
+        // Use resolved coordinates when a suggestion was picked
+        origin: originPoint,
+        destination: destinationPlace
+          ? toRoutePoint(destinationPlace)
+          : destination,
+        waypoints: stops.map(toRoutePoint),
+        numCheckpoints: numAutoCheckpoints,
+        checkpointSpacing,
+        isLoop,
+        storyPreferences,
+      });
 
-      // Prepare route data
-      const routeData = {
-        route: routeResult,
-        checkpoints: allCheckpoints,
-        story,
-        metadata: {
-          origin,
-          destination: finalDestination,
-          isLoop,
-          distance,
-          duration,
-          estimatedCalories: Math.round(distance * 50), // Rough estimate
-        },
-      };
+      await rememberRoutePlaces(routeData.route);
 
       onRouteSelected(routeData);
     } catch (error) {
@@ -140,6 +262,53 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
     }
   };
 
+  // Candidates stay on this screen, so don't raise the app loading overlay yet
+  const findLoopRoutes = async (originPoint) => {
+    setIsCalculating(true);
+    setLoopCandidates([]);
+
+    try {
+      const candidates = await generateLoopRoutes(originPoint, {
+        type: loopTargetType,
+        value: loopTargetValue,
+      });
+      setLoopCandidates(candidates);
+    } catch (error) {
+      console.error("Loop generation failed:", error);
+      onError("Failed to find a loop route: " + error.message);
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  const handleLoopSelected = async (loopRoute) => {
+    if (preparingLoop) return;
+    const originPoint = originPlace ? toRoutePoint(originPlace) : origin;
+    setPreparingLoop(loopRoute);
+    onLoading(true);
+
+    try {
+      const routeData = await buildTripData(loopRoute, {
+        origin: originPoint,
+        destination: originPoint,
+        numCheckpoints: numAutoCheckpoints,
+        checkpointSpacing,
+        isLoop: true,
+        storyPreferences,
+      });
+
+      await rememberRoutePlaces(routeData.route);
+
+      onRouteSelected(routeData);
+    } catch (error) {
+      console.error("Trip preparation failed:", error);
+      onError("Failed to prepare loop walk: " + error.message);
+    } finally {
+      setPreparingLoop(null);
+      onLoading(false);
+    }
+  };
+
   return (
     <div className="route-selector">
       <div className="container p-4">
@@ -156,13 +325,24 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
                 Starting Location
               </label>
               <div className="flex gap-2">
-                <input
-                  type="text"
-                  className="input flex-1"
+                <PlaceInput
                   placeholder="Enter starting address..."
                   value={origin}
-                  onChange={(e) => setOrigin(e.target.value)}
+                  onChange={handleOriginChange}
+                  onSelect={handleOriginSelect}
+                  recentPlaces={recentPlaces}
+                  savedPlaces={savedPlaces}
                 />
+                {originPlace && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => setSavingTarget("origin")}
+                    title="Save this place"
+                  >
+                    <Star className="w-4 h-4" />
+                  </button>
+                )}
                 <button
                   type="button"
                   className="btn btn-secondary"
@@ -180,7 +360,10 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
                 type="checkbox"
                 id="loop-mode"
                 checked={isLoop}
-                onChange={(e) => setIsLoop(e.target.checked)}
+                onChange={(e) => {
+                  setIsLoop(e.target.checked);
+                  setLoopCandidates([]);
+                }}
                 className="w-4 h-4"
               />
               <label htmlFor="loop-mode" className="text-sm">
@@ -188,6 +371,42 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
               </label>
             </div>
 
+            {/* Loop Target */}
+            {isLoop && stops.length === 0 && (
+              <div>
+                <label className="block text-sm font-bold mb-2 text-left">
+                  Loop Length
+                </label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    className="input"
+                    style={{ width: "6rem" }}
+                    min={loopTargetType === "duration" ? 5 : 0.5}
+                    step={loopTargetType === "duration" ? 5 : 0.5}
+                    value={loopTargetValue}
+                    onChange={(e) => {
+                      setLoopTargetValue(Number(e.target.value));
+                      setLoopCandidates([]);
+                    }}
+                  />
+                  <select
+                    className="input"
+                    style={{ width: "8rem" }}
+                    value={loopTargetType}
+                    onChange={(e) => {
+                      setLoopTargetType(e.target.value);
+                      setLoopTargetValue(e.target.value === "duration" ? 30 : 2);
+                      setLoopCandidates([]);
+                    }}
+                  >
+                    <option value="duration">minutes</option>
+                    <option value="distance">km</option>
+                  </select>
+                </div>
+              </div>
+            )}
+
             {/* Destination Input */}
             {!isLoop && (
               <div>
@@ -195,16 +414,195 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
                   <MapPin className="inline w-4 h-4 mr-1" />
                   Destination
                 </label>
-                <input
-                  type="text"
-                  className="input"
-                  placeholder="Enter destination address..."
-                  value={destination}
-                  onChange={(e) => setDestination(e.target.value)}
-                />
+                <div className="flex gap-2">
+                  <PlaceInput
+                    placeholder="Enter destination address..."
+                    value={destination}
+                    onChange={handleDestinationChange}
+                    onSelect={handleDestinationSelect}
+                    recentPlaces={recentPlaces}
+                    savedPlaces={savedPlaces}
+                  />
+                  {destinationPlace && (
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => setSavingTarget("destination")}
+                      title="Save this place"
+                    >
+                      <Star className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Save Place */}
+            {savingTarget && (
+              <div
+                className="p-4 rounded-lg text-left"
+                style={{
+                  backgroundColor: "var(--surface)",
+                  border: "1px solid var(--border)",
+                }}
+              >
+                <p className="text-sm font-bold mb-2">
+                  Save {savingTarget === "origin" ? "starting location" : "destination"} as:
+                </p>
+                <div className="flex gap-2 mb-2" style={{ flexWrap: "wrap" }}>
+                  {SAVED_PLACE_LABELS.map((label) => (
+                    <button
+                      key={label}
+                      type="button"
+                      className="btn btn-secondary text-sm"
+                      onClick={() => handleSavePlace(label)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="Or enter a custom name..."
+                    value={saveLabel}
+                    onChange={(e) => setSaveLabel(e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={() => handleSavePlace(saveLabel)}
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => setSavingTarget(null)}
+                    title="Cancel"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Saved Places */}
+            {savedPlaces.length > 0 && (
+              <div className="text-left">
+                <label className="block text-sm font-bold mb-2">
+                  <Star className="inline w-4 h-4 mr-1" />
+                  Saved Places
+                </label>
+                <div className="flex gap-2" style={{ flexWrap: "wrap" }}>
+                  {savedPlaces.map((place) => (
+                    <span
+                      key={place.label}
+                      className="flex items-center gap-2 text-sm"
+                      style={{
+                        padding: "0.25rem 0.5rem",
+                        borderRadius: "0.5rem",
+                        border: "1px solid var(--border)",
+                      }}
+                      title={place.name}
+                    >
+                      {place.label}
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveSavedPlace(place.label)}
+                        title={`Remove ${place.label}`}
+                        style={{ padding: 0, background: "none", minHeight: 0 }}
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
               </div>
             )}
 
+            {/* Stops */}
+            <div>
+              <label className="block text-sm font-bold mb-2 text-left">
+                Stops Along the Way
+              </label>
+              {stops.length > 0 && (
+                <ol className="space-y-2 mb-2 text-left" style={{ paddingLeft: 0, listStyle: "none" }}>
+                  {stops.map((stop, index) => (
+                    <li
+                      key={stop.id}
+                      className="flex items-center gap-2 text-sm"
+                      style={{
+                        padding: "0.5rem",
+                        borderRadius: "0.5rem",
+                        border: "1px solid var(--border)",
+                      }}
+                    >
+                      <span className="font-bold">{index + 1}.</span>
+                      <span className="truncate" style={{ flex: 1 }} title={stop.name}>
+                        {stop.name}
+                      </span>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => moveStop(index, -1)}
+                        disabled={index === 0}
+                        title="Move up"
+                      >
+                        <ChevronUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => moveStop(index, 1)}
+                        disabled={index === stops.length - 1}
+                        title="Move down"
+                      >
+                        <ChevronDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => removeStop(stop.id)}
+                        title="Remove stop"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              )}
+              <div className="flex gap-2">
+                <PlaceInput
+                  placeholder="Add a stop..."
+                  value={stopQuery}
+                  onChange={setStopQuery}
+                  onSelect={addStop}
+                  recentPlaces={recentPlaces}
+                  savedPlaces={savedPlaces}
+                />
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setShowStopPicker(!showStopPicker)}
+                  title="Pick stops on the map"
+                >
+                  <MapIcon className="w-4 h-4" />
+                </button>
+              </div>
+              {showStopPicker && (
+                <div className="mt-4">
+                  <WaypointMapPicker
+                    center={originPlace}
+                    stops={stops}
+                    onPick={handleStopPicked}
+                    onClose={() => setShowStopPicker(false)}
+                  />
+                </div>
+              )}
+            </div>
+
             {/* Checkpoint Options */}
             <div>
               <label className="block text-sm font-bold mb-2 text-left">
@@ -227,16 +625,54 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
                   </select>
                   checkpoints
                 </label>
+                <label className="flex items-center gap-2 text-sm">
+                  Spacing:
+                  <select
+                    value={checkpointSpacing}
+                    onChange={(e) => setCheckpointSpacing(e.target.value)}
+                    className="input"
+                  >
+                    <option value="distance">Even distance</option>
+                    <option value="narration">Chapter length</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  Reached:
+                  <select
+                    value={progressionMode}
+                    onChange={(e) =>
+                      handleProgressionModeChange(e.target.value)
+                    }
+                    className="input"
+                  >
+                    {PROGRESSION_MODES.map((mode) => (
+                      <option key={mode.value} value={mode.value}>
+                        {mode.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               </div>
               <p
                 className="text-sm text-left"
                 style={{ color: "var(--text-secondary)" }}
               >
                 Checkpoints will be automatically placed along your route where
-                story chapters will play.
+                story chapters will play. Your stops become named checkpoints too.
               </p>
             </div>
 
+            {/* Story Style */}
+            <div>
+              <label className="block text-sm font-bold mb-2 text-left">
+                Story Style
+              </label>
+              <StoryPreferencesPicker
+                preferences={storyPreferences}
+                onChange={updateStoryPreferences}
+              />
+            </div>
+
             {/* Submit Button */}
             <button
               type="submit"
@@ -248,6 +684,11 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
                   <Loader className="w-4 h-4 animate-spin" />
                   Calculating Route...
                 </>
+              ) : isLoop && stops.length === 0 ? (
+                <>
+                  <Plus className="w-4 h-4" />
+                  {loopCandidates.length > 0 ? "Find Other Loops" : "Find Loop Routes"}
+                </>
               ) : (
                 <>
                   <Plus className="w-4 h-4" />
@@ -257,6 +698,46 @@ export function RouteSelector({ onRouteSelected, onError, onLoading }) {
             </button>
           </form>
 
+          {/* Loop Candidates */}
+          {loopCandidates.length > 0 && (
+            <div className="mt-4 space-y-2 text-left">
+              <h3 className="font-bold">Choose your loop</h3>
+              {loopCandidates.map((candidate, index) => (
+                <div
+                  key={candidate.bearing}
+                  className="flex justify-between items-center p-4 rounded-lg"
+                  style={{
+                    backgroundColor: "var(--surface)",
+                    border: "1px solid var(--border)",
+                  }}
+                >
+                  <div className="text-sm">
+                    <div className="font-bold">Loop {index + 1}</div>
+                    <div style={{ color: "var(--text-secondary)" }}>
+                      {candidate.distance.toFixed(1)} km • ~
+                      {Math.round(candidate.duration)} min
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={() => handleLoopSelected(candidate)}
+                    disabled={!!preparingLoop}
+                  >
+                    {preparingLoop === candidate ? (
+                      <>
+                        <Loader className="w-4 h-4 animate-spin" />
+                        Preparing...
+                      </>
+                    ) : (
+                      "Walk this loop"
+                    )}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Info Box */}
           <div
             className="mt-6 p-4 rounded-lg"
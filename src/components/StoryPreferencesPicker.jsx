@@ -0,0 +1,51 @@
+import {
+  STORY_LANGUAGES,
+  STORY_GENRES,
+  STORY_TONES,
+  STORY_AUDIENCES,
+  CHAPTER_LENGTHS,
+} from "../utils/storyPreferences";
+
+const FIELDS = [
+  { key: "language", label: "Language", options: STORY_LANGUAGES },
+  { key: "genre", label: "Genre", options: STORY_GENRES },
+  { key: "tone", label: "Tone", options: STORY_TONES },
+  { key: "audience", label: "For", options: STORY_AUDIENCES },
+  { key: "chapterLength", label: "Chapters", options: CHAPTER_LENGTHS },
+];
+
+// Selects for how the story is told; `onChange` gets only what changed
+export function StoryPreferencesPicker({
+  preferences,
+  onChange,
+  selectClassName = "input",
+}) {
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      {FIELDS.map(({ key, label, options }) => (
+        <label key={key} className="flex items-center gap-2 text-sm">
+          {label}:
+          <select
+            value={preferences[key]}
+            onChange={(e) => onChange({ [key]: e.target.value })}
+            className={selectClassName}
+          >
+            {options.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={preferences.cliffhangers}
+          onChange={(e) => onChange({ cliffhangers: e.target.checked })}
+        />
+        Cliffhangers
+      </label>
+    </div>
+  );
+}
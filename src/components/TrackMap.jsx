@@ -0,0 +1,44 @@
+import { MapContainer, TileLayer, Polyline } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+// Planned route and walked track of a past trip
+export function TrackMap({ routeGeometry = [], trackPoints = [] }) {
+  const routeLatLngs = routeGeometry.map(([lng, lat]) => [lat, lng]);
+  const trackLatLngs = trackPoints.map((point) => [point.lat, point.lng]);
+  const allLatLngs = [...routeLatLngs, ...trackLatLngs];
+
+  if (allLatLngs.length < 2) {
+    return null;
+  }
+
+  return (
+    <div style={{ height: "250px" }}>
+      <MapContainer
+        bounds={allLatLngs}
+        boundsOptions={{ padding: [20, 20] }}
+        style={{ height: "100%", width: "100%" }}
+      >
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        />
+        {routeLatLngs.length > 1 && (
+          <Polyline
+            positions={routeLatLngs}
+            color="#2563eb"
+            weight={4}
+            opacity={0.6}
+          />
+        )}
+        {trackLatLngs.length > 1 && (
+          <Polyline
+            positions={trackLatLngs}
+            color="#f97316"
+            weight={3}
+            opacity={0.9}
+          />
+        )}
+      </MapContainer>
+    </div>
+  );
+}
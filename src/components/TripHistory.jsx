@@ -1,11 +1,13 @@
 import { useState, useEffect } from "react";
 import { ArrowLeft, Clock, Route, MapPin, Calendar } from "lucide-react";
-import { getTrips, getTripById } from "../utils/database";
+import { getTrips, getTripById, getTrackPoints } from "../utils/database";
+import { TrackMap } from "./TrackMap";
 
 export function TripHistory({ onBack, onError }) {
   const [trips, setTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedTrip, setSelectedTrip] = useState(null);
+  const [selectedTrack, setSelectedTrack] = useState([]);
 
   useEffect(() => {
     const loadTrips = async () => {
@@ -58,6 +60,10 @@ export function TripHistory({ onBack, onError }) {
   const handleTripClick = async (tripId) => {
     try {
       const tripDetails = await getTripById(tripId);
+      const trackPoints = tripDetails?.trackId
+        ? await getTrackPoints(tripDetails.trackId)
+        : [];
+      setSelectedTrack(trackPoints);
       setSelectedTrip(tripDetails);
     } catch (error) {
       console.error("Failed to load trip details:", error);
@@ -149,6 +155,23 @@ export function TripHistory({ onBack, onError }) {
                 </div>
               </div>
 
+              {(selectedTrack.length > 1 ||
+                selectedTrip.routeGeometry?.length > 1) && (
+                <div className="mb-4">
+                  <TrackMap
+                    routeGeometry={selectedTrip.routeGeometry}
+                    trackPoints={selectedTrack}
+                  />
+                  <div
+                    className="flex gap-4 text-xs mt-2"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    <span style={{ color: "#2563eb" }}>━ Planned route</span>
+                    <span style={{ color: "#f97316" }}>━ Your track</span>
+                  </div>
+                </div>
+              )}
+
               <div className="space-y-3 text-sm">
                 <div>
                   <div className="font-semibold">Route:</div>
@@ -336,6 +359,11 @@ export function TripHistory({ onBack, onError }) {
                             checkpoints
                           </div>
                         )}
+                      {trip.incomplete && (
+                        <div className="text-xs mt-1 text-orange-600">
+                          Ended early
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -70,9 +70,13 @@ export function TripSummary({ tripData, story, onNewTrip, onViewHistory }) {
         <div className="space-y-6">
           {/* Header */}
           <div className="text-center">
-            <h1 className="text-2xl font-bold mb-2">🎉 Adventure Complete!</h1>
+            <h1 className="text-2xl font-bold mb-2">
+              {tripData.incomplete ? "🚶 Walk Ended Early" : "🎉 Adventure Complete!"}
+            </h1>
             <p className="text-lg" style={{ color: "var(--text-secondary)" }}>
-              Well done on your walking story adventure
+              {tripData.incomplete
+                ? "Your progress so far has been saved"
+                : "Well done on your walking story adventure"}
             </p>
           </div>
 
@@ -112,11 +116,16 @@ export function TripSummary({ tripData, story, onNewTrip, onViewHistory }) {
                   className="text-sm"
                   style={{ color: "var(--text-secondary)" }}
                 >
-                  Duration
+                  Moving time
                 </div>
                 <div className="text-xs mt-1">
                   Est: {formatDuration(tripData.estimatedDuration)}
                 </div>
+                {tripData.elapsedDuration > tripData.actualDuration && (
+                  <div className="text-xs mt-1">
+                    Total: {formatDuration(tripData.elapsedDuration)}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -177,6 +186,17 @@ export function TripSummary({ tripData, story, onNewTrip, onViewHistory }) {
                   {tripData.route.destination}
                 </div>
               </div>
+              {tripData.reachedCheckpoints?.length > 0 && (
+                <div>
+                  <div className="font-semibold text-sm">Passed:</div>
+                  <div
+                    className="text-sm"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    {tripData.reachedCheckpoints.join(" → ")}
+                  </div>
+                </div>
+              )}
               <div>
                 <div className="font-semibold text-sm">Completed:</div>
                 <div
@@ -0,0 +1,52 @@
+import { MapContainer, TileLayer, Marker, Popup, useMapEvents } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+const DEFAULT_CENTER = { lat: 10.8231, lng: 106.6297 }; // Ho Chi Minh City
+
+// Component to handle map clicks
+function MapClickHandler({ onPick }) {
+  useMapEvents({
+    click(e) {
+      onPick(e.latlng);
+    },
+  });
+  return null;
+}
+
+// Small map for picking intermediate stops by tapping
+export function WaypointMapPicker({ center, stops, onPick, onClose }) {
+  const initialCenter = center || stops[stops.length - 1] || DEFAULT_CENTER;
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm font-bold">Tap the map to add a stop</p>
+        <button type="button" className="btn btn-secondary text-sm" onClick={onClose}>
+          Done
+        </button>
+      </div>
+      <div style={{ height: "300px" }}>
+        <MapContainer
+          center={[initialCenter.lat, initialCenter.lng]}
+          zoom={15}
+          style={{ height: "100%", width: "100%" }}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <MapClickHandler onPick={onPick} />
+          {stops.map((stop, index) => (
+            <Marker key={stop.id} position={[stop.lat, stop.lng]}>
+              <Popup>
+                <strong>Stop {index + 1}</strong>
+                <br />
+                {stop.name}
+              </Popup>
+            </Marker>
+          ))}
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect, useMemo } from "react";
+import { searchPlaces, rankPlaces } from "../utils/leafletMaps";
+
+const MIN_QUERY_LENGTH = 3;
+
+// Debounced as-you-type place search, ranked around `center` when given
+export function usePlaceSuggestions(
+  query,
+  { center = null, delay = 400, limit = 8 } = {}
+) {
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const trimmedQuery = query.trim();
+
+  useEffect(() => {
+    if (trimmedQuery.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsSearching(false);
+      setError(null);
+      return;
+    }
+
+    // Ignore responses for queries the user has already typed past
+    let cancelled = false;
+    setIsSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const places = await searchPlaces(trimmedQuery, limit);
+        if (!cancelled) {
+          setResults(places);
+          setError(null);
+        }
+      } catch (searchError) {
+        if (!cancelled) {
+          setResults([]);
+          setError(searchError.message);
+        }
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedQuery, delay, limit]);
+
+  const suggestions = useMemo(
+    () => rankPlaces(results, center),
+    [results, center]
+  );
+
+  return { suggestions, isSearching, error };
+}
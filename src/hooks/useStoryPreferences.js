@@ -0,0 +1,27 @@
+import { useState, useEffect } from "react";
+import { getPreference, savePreference } from "../utils/database";
+import {
+  DEFAULT_STORY_PREFERENCES,
+  normaliseStoryPreferences,
+} from "../utils/storyPreferences";
+
+const STORY_PREFERENCES_KEY = "storyPreferences";
+
+// The walker's story preferences, loaded once and saved as they change
+export function useStoryPreferences() {
+  const [preferences, setPreferences] = useState(DEFAULT_STORY_PREFERENCES);
+
+  useEffect(() => {
+    getPreference(STORY_PREFERENCES_KEY)
+      .then((saved) => setPreferences(normaliseStoryPreferences(saved || undefined)))
+      .catch(console.error);
+  }, []);
+
+  const updatePreferences = (changes) => {
+    const next = normaliseStoryPreferences({ ...preferences, ...changes });
+    setPreferences(next);
+    savePreference(STORY_PREFERENCES_KEY, next).catch(console.error);
+  };
+
+  return [preferences, updatePreferences];
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useMemo } from "react";
+import { createTripSession } from "../utils/tripSession";
+
+// A trip session for the lifetime of a map view, with its stats as state so
+// the view re-renders as the walk progresses
+export function useTripSession(details) {
+  const [session] = useState(() => createTripSession(details));
+  const [stats, setStats] = useState(() => session.getStats());
+
+  useEffect(() => {
+    session.setDetails(details);
+  }, [session, details]);
+
+  // Same actions as the session, each followed by a stats refresh
+  const trip = useMemo(() => {
+    const sync = (result) => {
+      setStats(session.getStats());
+      return result;
+    };
+
+    return {
+      start: (options) => sync(session.start(options)),
+      update: (fix) => sync(session.update(fix)),
+      checkpoint: (index) => sync(session.checkpoint(index)),
+      pause: () => sync(session.pause()),
+      resume: () => sync(session.resume()),
+      finish: async () => sync(await session.finish()),
+      abandon: async () => sync(await session.abandon()),
+      getProgress: session.getProgress,
+    };
+  }, [session]);
+
+  return { trip, stats };
+}
@@ -1,3 +1,14 @@
+// "vi-VN", "vi_VN" and "vi" are all Vietnamese
+const getBaseLanguage = (lang) =>
+  (lang || "").replace("_", "-").split("-")[0].toLowerCase();
+
+// Whether a voice ({ lang }) narrates the given language
+export const speaksLanguage = (voice, language) =>
+  getBaseLanguage(voice?.lang) === getBaseLanguage(language);
+
+// Languages written without spaces between words or after full stops
+const UNSPACED_LANGUAGES = ["zh", "ja"];
+
 // Audio service for Text-to-Speech using Web Speech API
 class AudioService {
   constructor() {
@@ -7,8 +18,12 @@ class AudioService {
     this.isPaused = false;
     this.voices = [];
     this.selectedVoice = null;
+    this.language = "en"; // what's being narrated, see selectVoiceForLanguage
+    this.onVoicesChangedCallback = null;
     this.onEndCallback = null;
     this.onErrorCallback = null;
+    this.narration = null;
+    this.announcementQueue = Promise.resolve();
 
     // Initialize voices
     this.loadVoices();
@@ -24,14 +39,44 @@ class AudioService {
 
     // Try to select a good default voice
     if (!this.selectedVoice && this.voices.length > 0) {
-      // Prefer English voices
-      const englishVoices = this.voices.filter((voice) =>
-        voice.lang.startsWith("en")
+      // Prefer voices for the narration language (English until told otherwise)
+      const languageVoices = this.voices.filter((voice) =>
+        speaksLanguage(voice, this.language)
       );
 
       this.selectedVoice =
-        englishVoices.length > 0 ? englishVoices[0] : this.voices[0];
+        languageVoices.length > 0 ? languageVoices[0] : this.voices[0];
+    }
+
+    if (this.onVoicesChangedCallback) {
+      this.onVoicesChangedCallback(this.getAvailableVoices());
+    }
+  }
+
+  // Some browsers (e.g. Chrome) only list their voices after a while
+  setOnVoicesChangedCallback(callback) {
+    this.onVoicesChangedCallback = callback;
+  }
+
+  // Choose the voice to narrate `language` with: `preferredName` if it speaks
+  // that language, else an installed voice for it, else one that needs a
+  // connection. Returns { voice, match } where match is "local", "remote" or
+  // "none"; with no match the current voice is kept and has to make do.
+  selectVoiceForLanguage(language, preferredName) {
+    this.language = language;
+    const candidates = this.voices.filter((voice) =>
+      speaksLanguage(voice, language)
+    );
+    const voice =
+      candidates.find((v) => v.name === preferredName) ||
+      candidates.find((v) => v.localService) ||
+      candidates[0];
+
+    if (!voice) {
+      return { voice: this.selectedVoice?.name || null, match: "none" };
     }
+    this.selectedVoice = voice;
+    return { voice: voice.name, match: voice.localService ? "local" : "remote" };
   }
 
   getAvailableVoices() {
@@ -52,65 +97,179 @@ class AudioService {
     return false;
   }
 
+  // Resolves true when the text was spoken to the end, false when stopped
   speak(text, options = {}) {
     return new Promise((resolve, reject) => {
       // Stop any current speech
       this.stop();
 
-      const utterance = new SpeechSynthesisUtterance(text);
+      // Narration state outlives its utterances, so an announcement can cut
+      // in and the narration can carry on from where it stopped
+      this.narration = {
+        text,
+        options,
+        offset: 0, // where the current utterance starts within `text`
+        position: 0, // start of the word currently being spoken
+        interrupted: false,
+        suspended: false,
+        stopped: false,
+        resolve,
+        reject,
+      };
+      this.speakNarrationSegment(this.narration);
+    });
+  }
+
+  // A voice for text in another language than the narration (`options.lang`),
+  // preferring an installed one; the narration voice if none speaks it
+  getVoiceFor(lang) {
+    if (speaksLanguage(this.selectedVoice, lang)) return this.selectedVoice;
+    const candidates = this.voices.filter((voice) => speaksLanguage(voice, lang));
+    return (
+      candidates.find((voice) => voice.localService) ||
+      candidates[0] ||
+      this.selectedVoice
+    );
+  }
+
+  createUtterance(text, options = {}) {
+    const utterance = new SpeechSynthesisUtterance(text);
+
+    // Set voice, and the language so a fallback voice reads it as best it can
+    const voice = options.lang ? this.getVoiceFor(options.lang) : this.selectedVoice;
+    if (voice) {
+      utterance.voice = voice;
+    }
+    utterance.lang = options.lang || this.language;
+
+    // Set speech parameters
+    utterance.rate = options.rate || 0.9; // Slightly slower for better comprehension while walking
+    utterance.pitch = options.pitch || 1;
+    utterance.volume = options.volume || 1;
+
+    return utterance;
+  }
+
+  // Speak the remainder of a narration from its current offset
+  speakNarrationSegment(narration) {
+    const utterance = this.createUtterance(
+      narration.text.slice(narration.offset),
+      narration.options
+    );
+
+    // Set up event handlers
+    utterance.onstart = () => {
+      this.isPlaying = true;
+      this.isPaused = false;
+      console.log("Speech started");
+    };
+
+    utterance.onboundary = (event) => {
+      narration.position = narration.offset + event.charIndex;
+    };
+
+    // Events from a stopped narration must not reset the one that replaced it
+    const finish = () => {
+      if (this.narration !== narration) return false;
+      this.isPlaying = false;
+      this.isPaused = false;
+      this.currentUtterance = null;
+      this.narration = null;
+      return true;
+    };
+
+    utterance.onend = () => {
+      // Cut short for an announcement; the narration resumes afterwards
+      if (narration.interrupted) return;
 
-      // Set voice
-      if (this.selectedVoice) {
-        utterance.voice = this.selectedVoice;
+      console.log("Speech ended");
+      if (finish() && this.onEndCallback) {
+        this.onEndCallback();
       }
+      narration.resolve(!narration.stopped);
+    };
 
-      // Set speech parameters
-      utterance.rate = options.rate || 0.9; // Slightly slower for better comprehension while walking
-      utterance.pitch = options.pitch || 1;
-      utterance.volume = options.volume || 1;
+    utterance.onerror = (event) => {
+      if (narration.interrupted) return;
 
-      // Set up event handlers
-      utterance.onstart = () => {
-        this.isPlaying = true;
-        this.isPaused = false;
-        console.log("Speech started");
-      };
+      finish();
 
-      utterance.onend = () => {
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentUtterance = null;
-        console.log("Speech ended");
-        if (this.onEndCallback) {
-          this.onEndCallback();
-        }
-        resolve();
-      };
+      // Cancelled through stop() rather than a real failure
+      if (narration.stopped) {
+        narration.resolve(false);
+        return;
+      }
 
-      utterance.onerror = (event) => {
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentUtterance = null;
-        console.error("Speech error:", event.error);
-        if (this.onErrorCallback) {
-          this.onErrorCallback(event.error);
-        }
-        reject(new Error(`Speech synthesis error: ${event.error}`));
-      };
+      console.error("Speech error:", event.error);
+      if (this.onErrorCallback) {
+        this.onErrorCallback(event.error);
+      }
+      narration.reject(new Error(`Speech synthesis error: ${event.error}`));
+    };
 
-      utterance.onpause = () => {
-        this.isPaused = true;
-        console.log("Speech paused");
-      };
+    utterance.onpause = () => {
+      this.isPaused = true;
+      console.log("Speech paused");
+    };
 
-      utterance.onresume = () => {
-        this.isPaused = false;
-        console.log("Speech resumed");
-      };
+    utterance.onresume = () => {
+      this.isPaused = false;
+      console.log("Speech resumed");
+    };
 
-      this.currentUtterance = utterance;
-      this.synthesis.speak(utterance);
-    });
+    this.currentUtterance = utterance;
+    this.synthesis.speak(utterance);
+  }
+
+  // Speak a short prompt (e.g. a navigation instruction) over the story.
+  // Any narration is paused for the prompt and then picks up where it left off.
+  announce(text, options = {}) {
+    const run = this.announcementQueue.then(() =>
+      this.speakAnnouncement(text, options)
+    );
+    // Keep the queue going even if one announcement fails
+    this.announcementQueue = run.catch(() => {});
+    return run;
+  }
+
+  async speakAnnouncement(text, options) {
+    const narration = this.narration;
+    const wasPaused = this.isPaused;
+
+    if (narration) {
+      narration.interrupted = true;
+      // Resume from the start of the word that was being spoken
+      narration.offset = narration.position;
+      this.synthesis.cancel();
+    }
+    if (wasPaused) {
+      // A paused synthesizer would hold the prompt back too
+      this.synthesis.resume();
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        const utterance = this.createUtterance(text, {
+          rate: 1,
+          volume: narration?.options.volume,
+          ...options,
+        });
+        utterance.onend = () => resolve();
+        utterance.onerror = (event) =>
+          reject(new Error(`Speech synthesis error: ${event.error}`));
+        this.synthesis.speak(utterance);
+      });
+    } finally {
+      if (narration && !narration.stopped && this.narration === narration) {
+        narration.interrupted = false;
+        if (wasPaused) {
+          // Stay paused; resume() speaks the rest
+          narration.suspended = true;
+        } else {
+          this.speakNarrationSegment(narration);
+        }
+      }
+    }
   }
 
   pause() {
@@ -123,18 +282,32 @@ class AudioService {
 
   resume() {
     if (this.isPlaying && this.isPaused) {
-      this.synthesis.resume();
+      if (this.narration?.suspended) {
+        this.narration.suspended = false;
+        this.speakNarrationSegment(this.narration);
+      } else {
+        this.synthesis.resume();
+      }
       return true;
     }
     return false;
   }
 
   stop() {
-    if (this.isPlaying) {
+    const narration = this.narration;
+    if (this.isPlaying || narration) {
+      if (narration) {
+        narration.stopped = true;
+        // No utterance is left to settle an interrupted narration
+        if (narration.interrupted || narration.suspended) {
+          narration.resolve(false);
+        }
+      }
       this.synthesis.cancel();
       this.isPlaying = false;
       this.isPaused = false;
       this.currentUtterance = null;
+      this.narration = null;
       return true;
     }
     return false;
@@ -165,11 +338,22 @@ class AudioService {
   }
 
   // Pre-process text for better speech synthesis
-  preprocessText(text) {
-    return text
-      .replace(/\n/g, ". ") // Replace newlines with pauses
+  preprocessText(text, language = this.language) {
+    const unspaced = UNSPACED_LANGUAGES.includes(getBaseLanguage(language));
+
+    // Line breaks become pauses, without doubling a full stop already there
+    const withPauses = text.replace(
+      /([.!?。！？])?\s*\n+\s*/gu,
+      (_, stop) => (stop || (unspaced ? "。" : ".")) + (unspaced ? "" : " ")
+    );
+
+    if (unspaced) {
+      return withPauses.replace(/[^\S\n]+/g, " ").trim();
+    }
+    return withPauses
       .replace(/\s+/g, " ") // Normalize spaces
-      .replace(/([.!?])\s*([A-Z])/g, "$1 $2") // Ensure pauses after sentences
+      // Ensure pauses after sentences, before capitals in any script
+      .replace(/([.!?])\s*(\p{Lu})/gu, "$1 $2")
       .trim();
   }
 }
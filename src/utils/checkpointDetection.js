@@ -0,0 +1,111 @@
+import { calculateDistance } from "./geo";
+
+// A checkpoint counts once the walker is really there: the trigger zone grows
+// with the fix's reported accuracy (or a checkpoint's own `radius`), and the
+// walker has to stay inside it for a few fixes or a short dwell rather than
+// brush past it once.
+
+const MIN_RADIUS = 25; // meters, open sky
+const MAX_RADIUS = 100; // meters, urban canyons
+const RADIUS_MARGIN = 20; // meters added on top of the fix's accuracy
+const LOG_SIZE = 100;
+
+const DEFAULT_OPTIONS = {
+  requiredFixes: 3, // consecutive fixes inside the zone
+  dwellTime: 8000, // ms inside the zone, for walkers with sparse fixes
+  debug: false, // echo decisions to the console
+};
+
+export const getCheckpointRadius = (checkpoint, accuracy) => {
+  if (checkpoint.radius) return checkpoint.radius;
+  const radius = (accuracy || 0) + RADIUS_MARGIN;
+  return Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius));
+};
+
+export const createCheckpointDetector = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const zones = new Map(); // checkpoint index -> { enteredAt, fixes, lastTimestamp }
+  const log = [];
+
+  const record = (entry) => {
+    log.push(entry);
+    if (log.length > LOG_SIZE) log.shift();
+    if (config.debug) console.debug("[checkpoint]", entry);
+  };
+
+  // Feed one position for the checkpoints that may be reached; returns the
+  // indices confirmed by this fix
+  const process = (position, checkpoints, indices) => {
+    const confirmed = [];
+
+    indices.forEach((index) => {
+      const checkpoint = checkpoints[index];
+      const zone = zones.get(index);
+      // The same fix can come round again when other state changes
+      if (zone?.lastTimestamp === position.timestamp) return;
+
+      const distance = calculateDistance(
+        position.lat,
+        position.lng,
+        checkpoint.position.lat,
+        checkpoint.position.lng
+      );
+      const radius = getCheckpointRadius(checkpoint, position.accuracy);
+      const details = {
+        index,
+        timestamp: position.timestamp,
+        distance: Math.round(distance),
+        radius: Math.round(radius),
+        accuracy: position.accuracy,
+      };
+
+      if (distance > radius) {
+        if (zone) {
+          zones.delete(index);
+          record({ ...details, decision: "left", fixes: zone.fixes });
+        }
+        return;
+      }
+
+      const next = {
+        enteredAt: zone ? zone.enteredAt : position.timestamp,
+        fixes: zone ? zone.fixes + 1 : 1,
+        lastTimestamp: position.timestamp,
+      };
+      zones.set(index, next);
+
+      const dwell = position.timestamp - next.enteredAt;
+      const enoughFixes = next.fixes >= config.requiredFixes;
+      // A dwell needs two fixes inside to be measured at all
+      const longEnough = next.fixes > 1 && dwell >= config.dwellTime;
+
+      if (enoughFixes || longEnough) {
+        zones.delete(index);
+        confirmed.push(index);
+        record({
+          ...details,
+          decision: "confirmed",
+          reason: enoughFixes ? "fixes" : "dwell",
+          fixes: next.fixes,
+          dwell,
+        });
+      } else {
+        record({
+          ...details,
+          decision: zone ? "inside" : "entered",
+          fixes: next.fixes,
+          dwell,
+        });
+      }
+    });
+
+    return confirmed;
+  };
+
+  return {
+    process,
+    // Recent decisions, oldest first, for debugging
+    getLog: () => [...log],
+    reset: () => zones.clear(),
+  };
+};
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { createCheckpointDetector, getCheckpointRadius } from "./checkpointDetection";
+
+const METERS_PER_DEG_LAT = 111320;
+const checkpoints = [
+  { position: { lat: 10.7769, lng: 106.7029 } },
+  { position: { lat: 10.7869, lng: 106.7029 } },
+];
+
+// A fix `north` meters north of the first checkpoint
+const at = (north, seconds, accuracy = 5) => ({
+  lat: checkpoints[0].position.lat + north / METERS_PER_DEG_LAT,
+  lng: checkpoints[0].position.lng,
+  accuracy,
+  timestamp: seconds * 1000,
+});
+
+describe("getCheckpointRadius", () => {
+  it("grows with the fix's accuracy between 25 and 100 m", () => {
+    expect(getCheckpointRadius({}, 0)).toBe(25);
+    expect(getCheckpointRadius({}, 30)).toBe(50);
+    expect(getCheckpointRadius({}, 200)).toBe(100);
+  });
+
+  it("uses a checkpoint's own radius when it has one", () => {
+    expect(getCheckpointRadius({ radius: 70 }, 0)).toBe(70);
+  });
+});
+
+describe("createCheckpointDetector", () => {
+  it("confirms a checkpoint after three fixes inside its zone", () => {
+    const detector = createCheckpointDetector();
+    expect(detector.process(at(10, 0), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(8, 1), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(5, 2), checkpoints, [0])).toEqual([0]);
+  });
+
+  it("starts counting again after the walker leaves the zone", () => {
+    const detector = createCheckpointDetector();
+    detector.process(at(10, 0), checkpoints, [0]);
+    detector.process(at(10, 1), checkpoints, [0]);
+    // 30 m out is beyond the 25 m zone of an accurate fix
+    expect(detector.process(at(30, 2), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(10, 3), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(10, 4), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(10, 5), checkpoints, [0])).toEqual([0]);
+  });
+
+  it("confirms on a dwell of 8 s with sparse fixes", () => {
+    const detector = createCheckpointDetector();
+    expect(detector.process(at(10, 0), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(10, 7.9), checkpoints, [0])).toEqual([]);
+
+    const other = createCheckpointDetector();
+    other.process(at(10, 0), checkpoints, [0]);
+    expect(other.process(at(10, 8), checkpoints, [0])).toEqual([0]);
+    expect(other.getLog().at(-1)).toMatchObject({
+      decision: "confirmed",
+      reason: "dwell",
+    });
+  });
+
+  it("widens the zone for inaccurate fixes", () => {
+    const detector = createCheckpointDetector({ requiredFixes: 1 });
+    expect(detector.process(at(40, 0, 5), checkpoints, [0])).toEqual([]);
+    expect(detector.process(at(40, 1, 30), checkpoints, [0])).toEqual([0]);
+  });
+
+  it("doesn't count the same fix twice", () => {
+    const detector = createCheckpointDetector();
+    const fix = at(5, 0);
+    detector.process(fix, checkpoints, [0]);
+    detector.process(fix, checkpoints, [0]);
+    expect(detector.process(fix, checkpoints, [0])).toEqual([]);
+  });
+
+  it("only considers the checkpoints it's given", () => {
+    const detector = createCheckpointDetector({ requiredFixes: 1 });
+    expect(detector.process(at(0, 0), checkpoints, [1])).toEqual([]);
+    expect(detector.process(at(0, 1), checkpoints, [0, 1])).toEqual([0]);
+  });
+});
@@ -1,7 +1,7 @@
 import { openDB } from "idb";
 
 const DB_NAME = "WalkingStoryDB";
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 
 // Initialize the database
 export const initDB = async () => {
@@ -31,6 +31,30 @@ export const initDB = async () => {
           keyPath: "key",
         });
       }
+
+      // Store for cached geocoding results
+      if (!db.objectStoreNames.contains("geocodeCache")) {
+        const geocodeStore = db.createObjectStore("geocodeCache", {
+          keyPath: "key",
+        });
+        geocodeStore.createIndex("timestamp", "timestamp");
+      }
+
+      // Store for GPS track points, one record per fix
+      if (!db.objectStoreNames.contains("tracks")) {
+        const trackStore = db.createObjectStore("tracks", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        trackStore.createIndex("trackId", "trackId");
+      }
+
+      // Store for the walk in progress, so it survives a reload or tab kill
+      if (!db.objectStoreNames.contains("activeSession")) {
+        db.createObjectStore("activeSession", {
+          keyPath: "id",
+        });
+      }
     },
   });
 };
@@ -54,6 +78,52 @@ export const getTripById = async (id) => {
   return db.get("trips", id);
 };
 
+// Track operations (points are written as they arrive so a crash keeps them)
+export const generateTrackId = () => {
+  return `track-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+export const addTrackPoint = async (trackId, point) => {
+  const db = await initDB();
+  return db.add("tracks", { ...point, trackId });
+};
+
+export const getTrackPoints = async (trackId) => {
+  const db = await initDB();
+  const points = await db.getAllFromIndex("tracks", "trackId", trackId);
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Active session operations (only one walk is in progress at a time)
+const ACTIVE_SESSION_ID = "current";
+
+// Every call opens its own connection, so session operations are queued to
+// run in the order they were made: a clear is never overtaken by a save
+// still in flight, and a read sees every write before it
+let activeSessionQueue = Promise.resolve();
+
+const queueActiveSession = (operation) => {
+  const run = activeSessionQueue.then(async () => operation(await initDB()));
+  // Keep the queue going even if this operation fails
+  activeSessionQueue = run.catch(() => {});
+  return run;
+};
+
+export const saveActiveSession = (session) =>
+  queueActiveSession((db) =>
+    db.put("activeSession", {
+      ...session,
+      id: ACTIVE_SESSION_ID,
+      updatedAt: Date.now(),
+    })
+  );
+
+export const getActiveSession = () =>
+  queueActiveSession((db) => db.get("activeSession", ACTIVE_SESSION_ID));
+
+export const clearActiveSession = () =>
+  queueActiveSession((db) => db.delete("activeSession", ACTIVE_SESSION_ID));
+
 // Story operations
 export const saveStory = async (routeKey, story) => {
   const db = await initDB();
@@ -81,8 +151,65 @@ export const getPreference = async (key) => {
   return result?.value;
 };
 
-// Utility function to generate route key for caching
-export const generateRouteKey = (origin, destination, checkpoints) => {
-  const key = `${origin}-${destination}-${checkpoints.length}`;
-  return btoa(key).replace(/[^a-zA-Z0-9]/g, "");
+// Geocode cache operations. An entry saved with its own `maxAge` expires
+// after that rather than the one it's read with.
+export const saveCachedGeocode = async (key, value, maxAge) => {
+  const db = await initDB();
+  const timestamp = Date.now();
+  return db.put("geocodeCache", {
+    key,
+    value,
+    timestamp,
+    ...(maxAge && { expires: timestamp + maxAge }),
+  });
+};
+
+// An entry's own expiry, else `maxAge` after it was cached
+const isGeocodeExpired = (entry, maxAge) => {
+  const expires = entry.expires ?? (maxAge && entry.timestamp + maxAge);
+  return !!expires && Date.now() > expires;
+};
+
+export const getCachedGeocode = async (key, maxAge) => {
+  const db = await initDB();
+  const result = await db.get("geocodeCache", key);
+  if (!result) return undefined;
+
+  if (isGeocodeExpired(result, maxAge)) {
+    await db.delete("geocodeCache", key);
+    return undefined;
+  }
+  return result.value;
+};
+
+// Delete every geocode past its own expiry, or cached more than `maxAge` ms
+// ago if it has none
+export const deleteExpiredGeocodes = async (maxAge) => {
+  const db = await initDB();
+  const tx = db.transaction("geocodeCache", "readwrite");
+  let cursor = await tx.store.openCursor();
+  while (cursor) {
+    if (isGeocodeExpired(cursor.value, maxAge)) {
+      await cursor.delete();
+    }
+    cursor = await cursor.continue();
+  }
+  await tx.done;
+};
+
+// Utility function to generate route key for caching. `variant` tells apart
+// stories told differently for the same route (e.g. story preferences).
+export const generateRouteKey = (
+  origin,
+  destination,
+  checkpoints,
+  variant = ""
+) => {
+  // Checkpoint names distinguish routes through different stops
+  const key = `${origin}-${destination}-${checkpoints
+    .map((cp) => cp.description)
+    .join("|")}${variant ? `#${variant}` : ""}`;
+  // btoa only accepts Latin-1, so encode non-ASCII addresses as UTF-8 first
+  const bytes = String.fromCharCode(...new TextEncoder().encode(key));
+  return btoa(bytes).replace(/[^a-zA-Z0-9]/g, "");
 };
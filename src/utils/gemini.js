@@ -1,134 +1,413 @@
 import axios from "axios";
+import { getMaxChapterWords, getNumChapters } from "./storyPrompts";
 
-const GEMINI_API_URL =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent";
+// The story proxy (server/storyProxy.js) holds the Gemini API key and builds
+// the prompts; in development Vite serves it alongside the app
+const STORY_API_URL = import.meta.env.VITE_STORY_API_URL || "/api/story";
 
-// Generate story using Gemini AI
-export const generateStory = async (
-  origin,
-  destination,
-  checkpoints,
-  estimatedDuration
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000; // ms, doubled on each retry
+const REQUEST_TIMEOUT = 60000; // ms
+const WORDS_PER_MINUTE = 150; // read aloud
+
+// A story is written in two steps so the walk can start before it's done:
+// an outline with the whole first chapter, then each later chapter in turn.
+// Either way the finished story is:
+//   { title, chapters: [{ chapterNumber, title, content, estimatedReadingTime }] }
+// and chapters still being written carry `pending: true`, empty content and
+// the `summary` they'll be written from.
+
+// Why a story couldn't be generated, as `code`:
+//   missing-key       the story proxy has no GEMINI_API_KEY
+//   invalid-key       the API rejected the key
+//   bad-request       any other request the API refused
+//   rate-limited      still 429 (from the proxy or the API) after retrying
+//   server            still 5xx after retrying
+//   network           no response at all (offline, timeout)
+//   blocked           the prompt or answer was stopped by safety filters
+//   truncated         the answer ran out of tokens before the JSON ended
+//   invalid-response  the answer wasn't a usable story
+export class StoryGenerationError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "StoryGenerationError";
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The proxy names its own errors in a header, which can be read even when
+// the body is a stream
+const getProxyError = (error) =>
+  error.response?.headers?.["x-story-error"];
+
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (getProxyError(error) === "missing-key") return false;
+  return !error.response || status === 429 || status >= 500;
+};
+
+// Retry-After in seconds if the API sent one, else exponential backoff
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = Number(error.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 250;
+};
+
+const toStoryError = (error) => {
+  const status = error.response?.status;
+  const apiMessage = error.response?.data?.error?.message;
+
+  if (!error.response) {
+    return new StoryGenerationError(
+      "network",
+      "Couldn't reach the story server. Check your connection and try again.",
+      { cause: error }
+    );
+  }
+  if (getProxyError(error) === "missing-key") {
+    return new StoryGenerationError(
+      "missing-key",
+      "The story server has no Gemini API key. Set GEMINI_API_KEY where it runs.",
+      { cause: error }
+    );
+  }
+  if (
+    status === 401 ||
+    status === 403 ||
+    (status === 400 && /api key/i.test(apiMessage || ""))
+  ) {
+    return new StoryGenerationError(
+      "invalid-key",
+      "The Gemini API key was rejected. Check GEMINI_API_KEY on the story server.",
+      { cause: error }
+    );
+  }
+  if (status === 429) {
+    return new StoryGenerationError(
+      "rate-limited",
+      "Too many story requests. Try again in a minute.",
+      { cause: error }
+    );
+  }
+  if (status >= 500) {
+    return new StoryGenerationError(
+      "server",
+      `The Gemini API is unavailable (${status}). Try again later.`,
+      { cause: error }
+    );
+  }
+  return new StoryGenerationError(
+    "bad-request",
+    `The Gemini API refused the request: ${apiMessage || status}`,
+    { cause: error }
+  );
+};
+
+// POST one step of writing to the story proxy, retrying rate limits, server
+// errors and network failures. `read` consumes the response inside the
+// retry, so a stream that breaks off part-way is retried as well.
+const postWithRetry = async (
+  request,
+  { read = (response) => response.data, ...config } = {}
 ) => {
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-
-  if (!apiKey) {
-    throw new Error("Gemini API key is not configured");
-  }
-
-  const numChapters = checkpoints.length + 1;
-  const chapterDuration = Math.round(estimatedDuration / numChapters);
-
-  const prompt = `Create an engaging walking story for a journey from ${origin} to ${destination}. 
-  
-  The story should be divided into ${numChapters} chapters, with each chapter lasting approximately ${chapterDuration} minutes when read aloud.
-  
-  Checkpoints along the route: ${checkpoints
-    .map((cp, idx) => `${idx + 1}. ${cp.description}`)
-    .join(", ")}
-  
-  Requirements:
-  - Each chapter should be 150-250 words long
-  - Include references to the actual locations and route
-  - Make it interesting and engaging for a walking audience
-  - Each chapter should end with a mild cliffhanger to keep the walker motivated
-  - The story should relate to the local area, history, or culture
-  - Use a conversational, immersive tone
-  - Each chapter should take about ${chapterDuration} minutes to read aloud
-  
-  Return the response as a JSON object with this structure:
-  {
-    "title": "Story Title",
-    "chapters": [
-      {
-        "chapterNumber": 1,
-        "title": "Chapter Title",
-        "content": "Chapter content...",
-        "estimatedReadingTime": ${chapterDuration}
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(STORY_API_URL, request, {
+        headers: { "Content-Type": "application/json" },
+        timeout: REQUEST_TIMEOUT,
+        ...config,
+      });
+      return await read(response);
+    } catch (error) {
+      if (error instanceof StoryGenerationError) throw error;
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw toStoryError(error);
       }
-    ]
-  }`;
+      const delay = getRetryDelay(error, attempt);
+      console.warn(
+        `Story request failed (${error.response?.status || error.code}), retrying in ${Math.round(delay)} ms`
+      );
+      await sleep(delay);
+    }
+  }
+};
 
-  try {
-    const response = await axios.post(
-      `${GEMINI_API_URL}?key=${apiKey}`,
-      {
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 2048,
-        },
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
+// Text of the first candidate in a (possibly partial) response, throwing if
+// the prompt or the answer was blocked
+const getCandidateText = (data) => {
+  if (data?.promptFeedback?.blockReason) {
+    throw new StoryGenerationError(
+      "blocked",
+      `The story prompt was blocked (${data.promptFeedback.blockReason}).`
+    );
+  }
+
+  const candidate = data?.candidates?.[0];
+  if (candidate?.finishReason === "SAFETY") {
+    throw new StoryGenerationError(
+      "blocked",
+      "The story was stopped by Gemini's safety filters."
     );
+  }
+
+  return {
+    text: (candidate?.content?.parts || []).map((part) => part.text || "").join(""),
+    finishReason: candidate?.finishReason,
+  };
+};
 
-    const generatedText = response.data.candidates[0].content.parts[0].text;
+// Calls `onEvent` with each `data:` payload of a server-sent event stream.
+// Without streaming support the response arrives whole, as text.
+const readEventStream = async (data, onEvent) => {
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return;
 
-    // Try to parse as JSON, fallback to manual parsing if needed
+    let event;
     try {
-      const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (parseError) {
-      console.warn(
-        "Failed to parse JSON response, using fallback parsing:",
-        parseError.message
+      event = JSON.parse(trimmed.slice(5));
+    } catch (error) {
+      throw new StoryGenerationError(
+        "invalid-response",
+        "Gemini's streamed response wasn't valid JSON.",
+        { cause: error }
       );
     }
+    onEvent(event);
+  };
+
+  if (typeof data === "string") {
+    data.split("\n").forEach(handleLine);
+    return;
+  }
+
+  const reader = data.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+};
 
-    // Fallback: Create chapters manually from the generated text
-    return parseTextToChapters(generatedText, numChapters, chapterDuration);
+const parseOutlineJson = (text, finishReason) => {
+  try {
+    // JSON mode should give bare JSON, but tolerate a Markdown fence
+    return JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
   } catch (error) {
-    console.error("Error generating story:", error);
-    throw new Error(
-      "Failed to generate story. Please check your API key and try again."
+    if (finishReason === "MAX_TOKENS") {
+      throw new StoryGenerationError(
+        "truncated",
+        "The story was too long and got cut off.",
+        { cause: error }
+      );
+    }
+    throw new StoryGenerationError(
+      "invalid-response",
+      "Gemini's response wasn't valid JSON.",
+      { cause: error }
     );
   }
 };
 
-// Fallback function to parse text into chapters
-const parseTextToChapters = (text, numChapters, chapterDuration) => {
-  const paragraphs = text.split("\n\n").filter((p) => p.trim().length > 50);
-  const chaptersPerParagraph = Math.ceil(paragraphs.length / numChapters);
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
 
-  const chapters = [];
-  for (let i = 0; i < numChapters; i++) {
-    const startIdx = i * chaptersPerParagraph;
-    const endIdx = Math.min((i + 1) * chaptersPerParagraph, paragraphs.length);
-    const chapterContent = paragraphs.slice(startIdx, endIdx).join("\n\n");
+// Cut text back to at most `maxWords`, ending on a full sentence if possible
+const trimToWords = (text, maxWords) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length <= maxWords) return text;
 
-    chapters.push({
-      chapterNumber: i + 1,
-      title: `Chapter ${i + 1}`,
-      content:
-        chapterContent || `Continue your journey as the story unfolds...`,
-      estimatedReadingTime: chapterDuration,
-    });
+  const cut = words.slice(0, maxWords).join(" ");
+  const lastStop = Math.max(
+    cut.lastIndexOf(". "),
+    cut.lastIndexOf("! "),
+    cut.lastIndexOf("? ")
+  );
+  return lastStop > cut.length / 2 ? cut.slice(0, lastStop + 1) : `${cut}…`;
+};
+
+const getReadingTime = (content) =>
+  Math.max(1, Math.round(countWords(content) / WORDS_PER_MINUTE));
+
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Check a parsed outline against STORY_OUTLINE_SCHEMA and the chapter count
+// we asked for, and turn it into a story whose first chapter is ready.
+// Missing titles are filled in, an over-long first chapter trimmed, extra
+// chapters folded into the last one and missing ones left to be written
+// from the story so far. Throws if there's no first chapter to start with.
+export const repairStoryOutline = (data, numChapters, maxWords) => {
+  const firstChapter = asText(data?.firstChapter);
+  if (!firstChapter) {
+    throw new StoryGenerationError(
+      "invalid-response",
+      "Gemini's story had no first chapter."
+    );
+  }
+
+  let outline = (Array.isArray(data.chapters) ? data.chapters : []).map(
+    (chapter) => ({
+      title: asText(chapter?.title),
+      summary: asText(chapter?.summary),
+    })
+  );
+
+  if (outline.length > numChapters) {
+    const last = outline.slice(numChapters - 1);
+    outline = [
+      ...outline.slice(0, numChapters - 1),
+      {
+        title: last[0].title,
+        summary: last.map((chapter) => chapter.summary).join(" "),
+      },
+    ];
+  }
+  while (outline.length < numChapters) {
+    outline.push({ title: "", summary: "" });
   }
 
+  const content = trimToWords(firstChapter, maxWords);
+
   return {
-    title: "Your Walking Adventure",
-    chapters,
+    title: asText(data.title) || "Your Walking Adventure",
+    chapters: outline.map((chapter, i) => ({
+      chapterNumber: i + 1,
+      title: chapter.title || `Chapter ${i + 1}`,
+      summary: chapter.summary,
+      ...(i === 0
+        ? { content, estimatedReadingTime: getReadingTime(content) }
+        : { content: "", pending: true }),
+    })),
   };
 };
 
-// Generate a simple fallback story if API fails
-export const generateFallbackStory = (origin, destination, checkpoints) => {
+// Start a story using Gemini AI: its title, a one-line outline of every
+// chapter and the full text of the first, so the walk can begin straight away.
+// `context` is { origin, destination, checkpoints, estimatedDuration,
+// landmarks, preferences }.
+export const generateStoryOutline = async (context) => {
+  const data = await postWithRetry({ step: "outline", context });
+
+  const { text, finishReason } = getCandidateText(data);
+  if (!text) {
+    throw new StoryGenerationError(
+      "invalid-response",
+      "Gemini returned an empty response."
+    );
+  }
+  return repairStoryOutline(
+    parseOutlineJson(text, finishReason),
+    getNumChapters(context),
+    getMaxChapterWords(context)
+  );
+};
+
+// Write one pending chapter of a story from its outline, streaming the text
+// as it's written to `onText` (called with everything so far). Resolves with
+// the chapter's { content, estimatedReadingTime }.
+export const generateChapter = async (context, story, index, { onText } = {}) => {
+  const chapter = story.chapters[index];
+  let text = "";
+  let finishReason;
+  await postWithRetry(
+    { step: "chapter", context, story, index },
+    {
+      // Streams where fetch can, whole response over XHR otherwise
+      adapter: ["fetch", "xhr"],
+      responseType: "stream",
+      read: (response) => {
+        text = "";
+        return readEventStream(response.data, (event) => {
+          const part = getCandidateText(event);
+          text += part.text;
+          finishReason = part.finishReason || finishReason;
+          if (part.text) onText?.(text);
+        });
+      },
+    }
+  );
+
+  const content = trimToWords(text.trim(), getMaxChapterWords(context));
+  if (!content) {
+    throw new StoryGenerationError(
+      "invalid-response",
+      `Gemini returned an empty chapter ${chapter.chapterNumber}.`
+    );
+  }
+  if (finishReason === "MAX_TOKENS") {
+    console.warn(`Chapter ${chapter.chapterNumber} was cut off`);
+  }
+  return { content, estimatedReadingTime: getReadingTime(content) };
+};
+
+// The fallback story in each of STORY_LANGUAGES, so a walk never switches
+// to English part-way through
+const FALLBACK_TEXT = {
+  en: {
+    title: "Your Walking Journey",
+    chapterTitle: (n, to) => `Chapter ${n}: Journey to ${to}`,
+    content: (from, to) =>
+      `As you walk towards ${to}, take in the surroundings around ${from}. Notice the architecture, the people, the sounds, and the atmosphere. Every step brings you closer to your destination, and every moment offers something new to discover. What stories do these streets hold? What lives have passed through here before you?`,
+  },
+  vi: {
+    title: "Hành trình đi bộ của bạn",
+    chapterTitle: (n, to) => `Chương ${n}: Hành trình đến ${to}`,
+    content: (from, to) =>
+      `Khi bạn đi về phía ${to}, hãy cảm nhận khung cảnh xung quanh ${from}. Hãy để ý kiến trúc, con người, âm thanh và bầu không khí. Mỗi bước chân đưa bạn đến gần đích hơn, và mỗi khoảnh khắc đều mang đến điều mới mẻ để khám phá. Những con phố này lưu giữ những câu chuyện gì? Những cuộc đời nào đã đi qua nơi đây trước bạn?`,
+  },
+  fr: {
+    title: "Votre balade",
+    chapterTitle: (n, to) => `Chapitre ${n} : En route vers ${to}`,
+    content: (from, to) =>
+      `En marchant vers ${to}, imprégnez-vous des alentours de ${from}. Observez l'architecture, les passants, les sons et l'atmosphère. Chaque pas vous rapproche de votre destination, et chaque instant offre quelque chose de nouveau à découvrir. Quelles histoires ces rues renferment-elles ? Quelles vies sont passées par ici avant vous ?`,
+  },
+  es: {
+    title: "Tu paseo",
+    chapterTitle: (n, to) => `Capítulo ${n}: Camino a ${to}`,
+    content: (from, to) =>
+      `Mientras caminas hacia ${to}, observa los alrededores de ${from}. Fíjate en la arquitectura, la gente, los sonidos y el ambiente. Cada paso te acerca a tu destino, y cada momento ofrece algo nuevo por descubrir. ¿Qué historias guardan estas calles? ¿Qué vidas han pasado por aquí antes que tú?`,
+  },
+  de: {
+    title: "Dein Spaziergang",
+    chapterTitle: (n, to) => `Kapitel ${n}: Auf dem Weg zu ${to}`,
+    content: (from, to) =>
+      `Während du in Richtung ${to} gehst, nimm die Umgebung von ${from} in dich auf. Achte auf die Architektur, die Menschen, die Geräusche und die Atmosphäre. Jeder Schritt bringt dich deinem Ziel näher, und jeder Moment hält etwas Neues bereit. Welche Geschichten erzählen diese Straßen? Welche Leben sind hier schon vor dir vorbeigezogen?`,
+  },
+  ja: {
+    title: "あなたの散歩",
+    chapterTitle: (n, to) => `第${n}章：${to}へ`,
+    content: (from, to) =>
+      `${to}に向かって歩きながら、${from}のまわりの景色を感じてみてください。建物、人々、音、そして空気に気を配ってみましょう。一歩ごとに目的地が近づき、どの瞬間にも新しい発見があります。この通りにはどんな物語が眠っているのでしょう。あなたより前に、どんな人生がここを通り過ぎていったのでしょう。`,
+  },
+  ko: {
+    title: "당신의 산책",
+    chapterTitle: (n, to) => `${n}장: ${to} 가는 길`,
+    content: (from, to) =>
+      `${to} 쪽으로 걸어가면서 ${from} 주변의 풍경을 느껴 보세요. 건물과 사람들, 소리와 분위기에 주목해 보세요. 한 걸음 한 걸음이 목적지에 더 가까워지게 하고, 매 순간 새로운 발견이 기다리고 있습니다. 이 거리들은 어떤 이야기를 품고 있을까요? 당신보다 먼저 어떤 삶들이 이곳을 지나갔을까요?`,
+  },
+  zh: {
+    title: "你的步行之旅",
+    chapterTitle: (n, to) => `第${n}章：前往${to}`,
+    content: (from, to) =>
+      `当你朝${to}走去时，感受一下${from}周围的环境。留意这里的建筑、行人、声音和氛围。每一步都让你离目的地更近，每一刻都有新的发现。这些街道藏着怎样的故事？在你之前，又有哪些人曾从这里走过？`,
+  },
+};
+
+// Generate a simple fallback story if API fails, in the story's language
+export const generateFallbackStory = (
+  origin,
+  destination,
+  checkpoints,
+  language = "en"
+) => {
+  const text = FALLBACK_TEXT[language] || FALLBACK_TEXT.en;
   const chapters = [];
   const locations = [
     origin,
@@ -140,17 +419,15 @@ export const generateFallbackStory = (origin, destination, checkpoints) => {
     if (index < locations.length - 1) {
       chapters.push({
         chapterNumber: index + 1,
-        title: `Chapter ${index + 1}: Journey to ${locations[index + 1]}`,
-        content: `As you walk towards ${
-          locations[index + 1]
-        }, take in the surroundings around ${location}. Notice the architecture, the people, the sounds, and the atmosphere. Every step brings you closer to your destination, and every moment offers something new to discover. What stories do these streets hold? What lives have passed through here before you?`,
+        title: text.chapterTitle(index + 1, locations[index + 1]),
+        content: text.content(location, locations[index + 1]),
         estimatedReadingTime: 3,
       });
     }
   });
 
   return {
-    title: "Your Walking Journey",
+    title: text.title,
     chapters,
   };
 };
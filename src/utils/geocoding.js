@@ -0,0 +1,305 @@
+import {
+  getPreference,
+  savePreference,
+  getCachedGeocode,
+  saveCachedGeocode,
+  deleteExpiredGeocodes,
+} from "./database";
+
+// Geocoding backends turn text into places and coordinates back into places.
+// Every backend normalises results to:
+//   { name, lat, lng, type, importance, addressDetails }
+// where addressDetails is { road, houseNumber, suburb, city, country, postcode }.
+
+const GEOCODER_PREFERENCE_KEY = "geocoder";
+const CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// "Nothing found" may be a passing glitch or a place too new to be mapped
+const MISS_TTL = 10 * 60 * 1000; // 10 minutes
+
+export const PUBLIC_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+export const PUBLIC_PHOTON_URL = "https://photon.komoot.io";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+// Serialise requests so that at most one starts every `minInterval` ms
+export const createRequestQueue = (minInterval) => {
+  let lastRequest = 0;
+  let chain = Promise.resolve();
+
+  return (task) => {
+    const run = chain.then(async () => {
+      const wait = lastRequest + minInterval - Date.now();
+      if (wait > 0) await sleep(wait);
+      try {
+        return await task();
+      } finally {
+        lastRequest = Date.now();
+      }
+    });
+    // Keep the queue going even if this request fails
+    chain = run.catch(() => {});
+    return run;
+  };
+};
+
+const fetchJson = async (url) => {
+  const response = await fetch(url, {
+    headers: { "Accept-Language": navigator.language || "en" },
+  });
+  if (!response.ok) {
+    throw new Error(`Geocoding API error: ${response.status}`);
+  }
+  return response.json();
+};
+
+const normaliseNominatimPlace = (place) => ({
+  name: place.display_name,
+  lat: parseFloat(place.lat),
+  lng: parseFloat(place.lon),
+  type: place.type,
+  importance: place.importance,
+  addressDetails: {
+    road: place.address?.road || place.address?.pedestrian,
+    houseNumber: place.address?.house_number,
+    suburb:
+      place.address?.suburb ||
+      place.address?.quarter ||
+      place.address?.neighbourhood,
+    city: place.address?.city || place.address?.town || place.address?.village,
+    country: place.address?.country,
+    postcode: place.address?.postcode,
+  },
+});
+
+// Nominatim, or any server speaking the Nominatim API (custom URL).
+// Browsers don't let us set User-Agent, so per the usage policy we identify
+// ourselves with the `email` parameter and keep to 1 request per second.
+export const createNominatimGeocoder = ({
+  baseUrl = PUBLIC_NOMINATIM_URL,
+  email,
+  minInterval = 1000,
+  name = "nominatim",
+} = {}) => {
+  const enqueue = createRequestQueue(minInterval);
+  const url = (path, params) => {
+    const query = new URLSearchParams({
+      format: "jsonv2",
+      addressdetails: "1",
+      ...params,
+    });
+    if (email) query.set("email", email);
+    return `${trimTrailingSlash(baseUrl)}/${path}?${query.toString()}`;
+  };
+
+  return {
+    name,
+    async search(query, { limit = 5 } = {}) {
+      const data = await enqueue(() =>
+        fetchJson(url("search", { q: query, limit: String(limit) }))
+      );
+      return data.map(normaliseNominatimPlace);
+    },
+    async reverse(lat, lng) {
+      const data = await enqueue(() =>
+        fetchJson(url("reverse", { lat: String(lat), lon: String(lng) }))
+      );
+      return data && data.display_name ? normaliseNominatimPlace(data) : null;
+    },
+  };
+};
+
+const normalisePhotonFeature = (feature) => {
+  const props = feature.properties;
+  const [lng, lat] = feature.geometry.coordinates;
+  const street = [props.street, props.housenumber].filter(Boolean).join(" ");
+
+  return {
+    name: [props.name, street, props.district, props.city, props.country]
+      .filter(Boolean)
+      .join(", "),
+    lat,
+    lng,
+    type: props.osm_value || props.type,
+    importance: null, // Photon returns results already ranked
+    addressDetails: {
+      road: props.street,
+      houseNumber: props.housenumber,
+      suburb: props.district || props.locality,
+      city: props.city,
+      country: props.country,
+      postcode: props.postcode,
+    },
+  };
+};
+
+// Photon (komoot's public instance or self-hosted)
+export const createPhotonGeocoder = ({
+  baseUrl = PUBLIC_PHOTON_URL,
+  minInterval = 500,
+} = {}) => {
+  const enqueue = createRequestQueue(minInterval);
+
+  return {
+    name: "photon",
+    async search(query, { limit = 5 } = {}) {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      const data = await enqueue(() =>
+        fetchJson(`${trimTrailingSlash(baseUrl)}/api/?${params.toString()}`)
+      );
+      return data.features.map(normalisePhotonFeature);
+    },
+    async reverse(lat, lng) {
+      const params = new URLSearchParams({ lat: String(lat), lon: String(lng) });
+      const data = await enqueue(() =>
+        fetchJson(`${trimTrailingSlash(baseUrl)}/reverse?${params.toString()}`)
+      );
+      return data.features?.length
+        ? normalisePhotonFeature(data.features[0])
+        : null;
+    },
+  };
+};
+
+const geocoderFactories = {
+  nominatim: createNominatimGeocoder,
+  photon: createPhotonGeocoder,
+  custom: (options) => {
+    if (!options.baseUrl) {
+      throw new Error('Geocoder "custom" requires a baseUrl');
+    }
+    return createNominatimGeocoder({ minInterval: 0, ...options, name: "custom" });
+  },
+};
+
+// Default config from the environment
+const getDefaultGeocoderConfig = () => {
+  const config = {
+    type: import.meta.env.VITE_GEOCODER_PROVIDER || "nominatim",
+  };
+  if (import.meta.env.VITE_GEOCODER_URL) {
+    config.baseUrl = import.meta.env.VITE_GEOCODER_URL;
+  }
+  if (import.meta.env.VITE_NOMINATIM_EMAIL) {
+    config.email = import.meta.env.VITE_NOMINATIM_EMAIL;
+  }
+  return config;
+};
+
+// Backends are cached per config so their request queues are shared
+const geocoders = new Map();
+
+export const createGeocoder = (config = {}) => {
+  const { type = "nominatim", ...options } = config;
+  const factory = geocoderFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown geocoder: ${type}`);
+  }
+  return factory(options);
+};
+
+export const saveGeocoderConfig = async (config) => {
+  // Validate before persisting so a bad config can't break geocoding later
+  createGeocoder(config);
+  return savePreference(GEOCODER_PREFERENCE_KEY, config);
+};
+
+const getGeocoder = async () => {
+  let config = getDefaultGeocoderConfig();
+  try {
+    const saved = await getPreference(GEOCODER_PREFERENCE_KEY);
+    if (saved?.type) {
+      // Only inherit env settings (URL, email) when the backend type matches
+      config = saved.type === config.type ? { ...config, ...saved } : saved;
+    }
+  } catch (error) {
+    console.warn("Failed to load geocoder preference:", error);
+  }
+
+  const cacheKey = JSON.stringify(config);
+  if (!geocoders.has(cacheKey)) {
+    geocoders.set(cacheKey, createGeocoder(config));
+  }
+  return geocoders.get(cacheKey);
+};
+
+// Read-through cache; cache failures never block a lookup
+const withCache = async (key, lookup) => {
+  try {
+    const cached = await getCachedGeocode(key, CACHE_TTL);
+    if (cached !== undefined) return cached;
+  } catch (error) {
+    console.warn("Geocode cache read failed:", error);
+  }
+
+  const value = await lookup();
+  const isMiss = !value || (Array.isArray(value) && value.length === 0);
+
+  try {
+    await saveCachedGeocode(key, value, isMiss ? MISS_TTL : CACHE_TTL);
+  } catch (error) {
+    console.warn("Geocode cache write failed:", error);
+  }
+  return value;
+};
+
+// Clear out lookups past their time, e.g. on app start, so the cache
+// doesn't grow forever
+export const pruneGeocodeCache = () => deleteExpiredGeocodes(CACHE_TTL);
+
+// Search for places matching free text
+export const searchGeocoder = async (query, { limit = 5 } = {}) => {
+  const geocoder = await getGeocoder();
+  const normalisedQuery = query.trim().toLowerCase();
+
+  return withCache(`${geocoder.name}:search:${limit}:${normalisedQuery}`, () =>
+    geocoder.search(query.trim(), { limit })
+  );
+};
+
+// Find the place at a coordinate (rounded to ~10 m for cache hits)
+export const reverseGeocoder = async (lat, lng) => {
+  const geocoder = await getGeocoder();
+  const key = `${geocoder.name}:reverse:${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+  return withCache(key, () => geocoder.reverse(lat, lng));
+};
+
+// The parts of an address that say where a point on a walk is
+const toPlaceAddress = (place) => {
+  const { road, suburb, city } = place?.addressDetails || {};
+  if (!road && !suburb && !city) return null;
+  return { road, suburb, city };
+};
+
+// Reverse geocode many points, e.g. a route's checkpoints. Lookups go through
+// the backend's request queue and the cache like any other, so a batch keeps
+// to the rate limit; points that fail come back as null. With a `timeout`
+// (ms), points still queued by then come back as null too, though their
+// lookups carry on and are cached for next time.
+export const reverseGeocodeBatch = async (points, { timeout } = {}) => {
+  const expired =
+    timeout && new Promise((resolve) => setTimeout(() => resolve(null), timeout));
+
+  return Promise.all(
+    points.map(({ lat, lng }) => {
+      const lookup = reverseGeocoder(lat, lng)
+        .then(toPlaceAddress)
+        .catch((error) => {
+          console.warn("Reverse geocoding failed for", lat, lng, error);
+          return null;
+        });
+      return expired ? Promise.race([lookup, expired]) : lookup;
+    })
+  );
+};
+
+// "Road, Suburb" for a place address, falling back to the city
+export const formatPlaceAddress = (address) => {
+  if (!address) return "";
+  const { road, suburb, city } = address;
+  const area = suburb && suburb !== road ? suburb : city;
+  return [road, area].filter(Boolean).join(", ");
+};
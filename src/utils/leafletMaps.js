@@ -1,4 +1,9 @@
 import L from 'leaflet';
+import { getRoutingProvider } from './routing';
+import { searchGeocoder, reverseGeocoder } from './geocoding';
+import { calculateDistance } from './geo';
+
+export { calculateDistance };
 
 // Fix default marker icons in Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -8,19 +13,16 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png',
 });
 
-// Geocoding using Nominatim (OpenStreetMap) - completely free
+// Geocoding through the configured geocoder (Nominatim by default)
 export const geocodeAddress = async (address) => {
   try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}&limit=1`
-    );
-    const data = await response.json();
+    const [place] = await searchGeocoder(address, { limit: 1 });
     
-    if (data && data.length > 0) {
+    if (place) {
       return {
-        lat: parseFloat(data[0].lat),
-        lng: parseFloat(data[0].lon),
-        address: data[0].display_name
+        lat: place.lat,
+        lng: place.lng,
+        address: place.name
       };
     }
     throw new Error('Address not found');
@@ -30,52 +32,34 @@ export const geocodeAddress = async (address) => {
   }
 };
 
-// Get walking route using OSRM (completely free)
+// Get walking route from the configured routing provider (OSRM by default)
 export const calculateWalkingRoute = async (origin, destination, waypoints = []) => {
   try {
     // Convert addresses to coordinates
     const originCoords = typeof origin === 'string' ? await geocodeAddress(origin) : origin;
     const destCoords = typeof destination === 'string' ? await geocodeAddress(destination) : destination;
     
-    // Build coordinates string for OSRM
-    let coordinates = `${originCoords.lng},${originCoords.lat}`;
-    
-    // Add waypoints if any
-    if (waypoints.length > 0) {
-      const waypointCoords = await Promise.all(
-        waypoints.map(wp => typeof wp === 'string' ? geocodeAddress(wp) : Promise.resolve(wp))
-      );
-      coordinates += ';' + waypointCoords.map(wp => `${wp.lng},${wp.lat}`).join(';');
-    }
-    
-    coordinates += `;${destCoords.lng},${destCoords.lat}`;
-
-    // Call OSRM API for walking route
-    const response = await fetch(
-      `https://router.project-osrm.org/route/v1/foot/${coordinates}?overview=full&geometries=geojson&steps=true`
+    // Resolve waypoints if any
+    const waypointCoords = await Promise.all(
+      waypoints.map(wp => typeof wp === 'string' ? geocodeAddress(wp) : Promise.resolve(wp))
     );
 
-    if (!response.ok) {
-      throw new Error(`OSRM API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    if (!data.routes || data.routes.length === 0) {
-      throw new Error('No route found');
-    }
-
-    const route = data.routes[0];
+    const provider = await getRoutingProvider();
+    const route = await provider.route([originCoords, ...waypointCoords, destCoords]);
     
     return {
       geometry: route.geometry,
-      distance: route.distance / 1000, // Convert to km
-      duration: route.duration / 60, // Convert to minutes
-      steps: route.legs[0]?.steps || [],
+      distance: route.distance, // km
+      duration: route.duration, // minutes
+      // Merge every leg so routes through stops keep all their steps
+      steps: route.legs.flatMap((leg, legIndex) =>
+        (leg.steps || []).map(step => ({ ...step, legIndex }))
+      ),
       origin: originCoords.address || origin,
       destination: destCoords.address || destination,
       originCoords,
-      destCoords
+      destCoords,
+      waypointCoords
     };
   } catch (error) {
     console.error('Route calculation failed:', error);
@@ -83,46 +67,182 @@ export const calculateWalkingRoute = async (origin, destination, waypoints = [])
   }
 };
 
-// Generate checkpoints along the route
-export const generateCheckpoints = (route, numCheckpoints = 4) => {
-  if (!route.geometry || !route.geometry.coordinates) {
+// Meters walked from the start of a [lng, lat] polyline to each vertex
+export const getCumulativeDistances = (coordinates) => {
+  const cumulative = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lng1, lat1] = coordinates[i - 1];
+    const [lng2, lat2] = coordinates[i];
+    cumulative.push(cumulative[i - 1] + calculateDistance(lat1, lng1, lat2, lng2));
+  }
+  return cumulative;
+};
+
+// Point `distance` meters along the polyline, interpolated between vertices
+const pointAlongRoute = (coordinates, cumulative, distance) => {
+  let i = 1;
+  while (i < cumulative.length - 1 && cumulative[i] < distance) i++;
+
+  const segmentLength = cumulative[i] - cumulative[i - 1];
+  const t = segmentLength > 0 ? (distance - cumulative[i - 1]) / segmentLength : 0;
+  const [lng1, lat1] = coordinates[i - 1];
+  const [lng2, lat2] = coordinates[i];
+
+  return {
+    lat: lat1 + (lat2 - lat1) * t,
+    lng: lng1 + (lng2 - lng1) * t,
+    // Vertex at or just past the point, for ordering along the route
+    routeIndex: i,
+  };
+};
+
+// Roughly how long one story chapter takes to read aloud
+export const CHAPTER_NARRATION_MINUTES = 2;
+// How far a checkpoint may move to sit on a turn or intersection
+const MAX_SNAP_DISTANCE = 60; // meters
+
+// Turns and intersections from the route steps, with their distance along it
+const getStepAnchors = (route, coordinates, cumulative) => {
+  let searchFrom = 0;
+  return (route.steps || [])
+    .filter((step) => step.maneuver?.location && !['depart', 'arrive'].includes(step.maneuver.type))
+    .map((step) => {
+      const [lng, lat] = step.maneuver.location;
+      const routeIndex = findNearestCoordinateIndex(coordinates, { lat, lng }, searchFrom);
+      searchFrom = routeIndex;
+      return { lat, lng, routeIndex, distanceAlongRoute: cumulative[routeIndex], name: step.name };
+    });
+};
+
+// Generate checkpoints along the route, spaced by distance walked:
+//   spacing 'distance'  - numCheckpoints evenly along the route
+//   spacing 'narration' - one per chapter's reading time at the route's
+//                         walking pace, at most numCheckpoints
+// Each is moved onto a nearby turn or intersection when there is one.
+export const generateCheckpoints = (
+  route,
+  numCheckpoints = 4,
+  { spacing = 'distance', chapterMinutes = CHAPTER_NARRATION_MINUTES } = {}
+) => {
+  const coordinates = route.geometry?.coordinates;
+  if (!coordinates || coordinates.length < 2) {
     return [];
   }
 
-  const coordinates = route.geometry.coordinates;
-  const totalPoints = coordinates.length;
-  const interval = Math.floor(totalPoints / (numCheckpoints + 1));
-  
-  const checkpoints = [];
-  for (let i = 1; i <= numCheckpoints; i++) {
-    const pointIndex = i * interval;
-    if (pointIndex < totalPoints) {
-      const [lng, lat] = coordinates[pointIndex];
-      checkpoints.push({
-        position: { lat, lng },
-        description: `Checkpoint ${i}`,
-        index: i
-      });
+  const cumulative = getCumulativeDistances(coordinates);
+  const totalDistance = cumulative[cumulative.length - 1];
+
+  let interval = totalDistance / (numCheckpoints + 1);
+  let count = numCheckpoints;
+  if (spacing === 'narration' && route.duration > 0) {
+    const metersPerMinute = totalDistance / route.duration;
+    interval = Math.max(interval, chapterMinutes * metersPerMinute);
+    // The last chapter needs its own stretch before the destination. The
+    // epsilon keeps float division (4.999...) from losing a checkpoint.
+    count = Math.min(numCheckpoints, Math.floor(totalDistance / interval + 1e-9) - 1);
+    // A walk too short for a chapter per stretch still gets one, halfway
+    if (numCheckpoints > 0 && count < 1) {
+      count = 1;
+      interval = totalDistance / 2;
     }
   }
-  
+
+  const anchors = getStepAnchors(route, coordinates, cumulative);
+  const snapDistance = Math.min(MAX_SNAP_DISTANCE, interval / 4);
+
+  const checkpoints = [];
+  for (let i = 1; i <= count; i++) {
+    const target = i * interval;
+    const anchor = anchors.reduce((best, candidate) => {
+      const offset = Math.abs(candidate.distanceAlongRoute - target);
+      if (offset > snapDistance) return best;
+      return !best || offset < Math.abs(best.distanceAlongRoute - target) ? candidate : best;
+    }, null);
+
+    const point = anchor || pointAlongRoute(coordinates, cumulative, target);
+    const distanceAlongRoute = anchor ? anchor.distanceAlongRoute : target;
+
+    checkpoints.push({
+      position: { lat: point.lat, lng: point.lng },
+      description: anchor?.name || `Checkpoint ${i} (${(distanceAlongRoute / 1000).toFixed(1)} km)`,
+      index: i,
+      routeIndex: point.routeIndex,
+      distanceAlongRoute, // meters from the start
+    });
+  }
+
   return checkpoints;
 };
 
-// Calculate distance between two points (Haversine formula)
-export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+// Index of the route vertex closest to a point, searching from `fromIndex` on
+export const findNearestCoordinateIndex = (coordinates, point, fromIndex = 0) => {
+  let nearestIndex = fromIndex;
+  let minDistance = Infinity;
+
+  for (let i = fromIndex; i < coordinates.length; i++) {
+    const [lng, lat] = coordinates[i];
+    const distance = calculateDistance(point.lat, point.lng, lat, lng);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearestIndex = i;
+    }
+  }
+
+  return nearestIndex;
+};
+
+// Shortest distance in meters from a point to a [lng, lat] polyline.
+// Uses a local flat projection, which is accurate at walking scale.
+export const distanceToPolyline = (point, coordinates) => {
+  if (!coordinates || coordinates.length === 0) return Infinity;
+
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos((point.lat * Math.PI) / 180);
+  const project = ([lng, lat]) => ({
+    x: (lng - point.lng) * metersPerDegLng,
+    y: (lat - point.lat) * metersPerDegLat,
+  });
+
+  let minDistance = Infinity;
+  let a = project(coordinates[0]);
+
+  if (coordinates.length === 1) return Math.hypot(a.x, a.y);
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const b = project(coordinates[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Projection of the point (the origin) onto segment ab, clamped to it
+    const t = lengthSquared
+      ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared))
+      : 0;
+    minDistance = Math.min(minDistance, Math.hypot(a.x + t * dx, a.y + t * dy));
+    a = b;
+  }
+
+  return minDistance;
+};
+
+// Point reached by travelling `distance` meters from a point along a bearing
+export const destinationPoint = (lat, lng, bearing, distance) => {
   const R = 6371e3; // Earth's radius in meters
-  const φ1 = (lat1 * Math.PI) / 180;
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+  const δ = distance / R;
+  const θ = (bearing * Math.PI) / 180;
+  const φ1 = (lat * Math.PI) / 180;
+  const λ1 = (lng * Math.PI) / 180;
 
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const φ2 = Math.asin(
+    Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ)
+  );
+  const λ2 =
+    λ1 +
+    Math.atan2(
+      Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+      Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+    );
 
-  return R * c; // Distance in meters
+  return { lat: (φ2 * 180) / Math.PI, lng: (λ2 * 180) / Math.PI };
 };
 
 // Get user's current position
@@ -168,13 +288,10 @@ export const watchPosition = (callback, errorCallback, options = {}) => {
 // Reverse geocoding (get address from coordinates)
 export const reverseGeocode = async (lat, lng) => {
   try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}`
-    );
-    const data = await response.json();
+    const place = await reverseGeocoder(lat, lng);
     
-    if (data && data.display_name) {
-      return data.display_name;
+    if (place && place.name) {
+      return place.name;
     }
     throw new Error('Address not found');
   } catch (error) {
@@ -186,15 +303,12 @@ export const reverseGeocode = async (lat, lng) => {
 // Search for places (like autocomplete)
 export const searchPlaces = async (query, limit = 5) => {
   try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&addressdetails=1`
-    );
-    const data = await response.json();
+    const places = await searchGeocoder(query, { limit });
     
-    return data.map(place => ({
-      name: place.display_name,
-      lat: parseFloat(place.lat),
-      lng: parseFloat(place.lon),
+    return places.map(place => ({
+      name: place.name,
+      lat: place.lat,
+      lng: place.lng,
       type: place.type,
       importance: place.importance
     }));
@@ -203,3 +317,20 @@ export const searchPlaces = async (query, limit = 5) => {
     throw new Error('Failed to search places');
   }
 };
+
+// Rank search results by importance and distance to a reference point
+export const rankPlaces = (places, center) => {
+  return places
+    .map((place, index) => {
+      // Backends without importance (e.g. Photon) return results pre-ranked
+      const importance = place.importance ?? 1 - index / places.length;
+      const distance = center
+        ? calculateDistance(center.lat, center.lng, place.lat, place.lng)
+        : null;
+      // Proximity falls to 0.5 at 2 km and keeps decaying with distance
+      const proximity = distance === null ? 0 : 1 / (1 + distance / 2000);
+
+      return { ...place, distance, score: importance * 0.5 + proximity * 0.5 };
+    })
+    .sort((a, b) => b.score - a.score);
+};
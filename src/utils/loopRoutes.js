@@ -0,0 +1,164 @@
+import {
+  calculateWalkingRoute,
+  destinationPoint,
+  geocodeAddress,
+} from "./leafletMaps";
+
+// A loop is built from a circle that passes through the origin: three shaping
+// waypoints a quarter, half and three quarters of the way round it. Streets
+// are never straight, so the routed loop comes out longer than the square
+// through those points; ROAD_DETOUR_FACTOR accounts for that on the first try
+// and one rescaling pass corrects the rest.
+
+const ROAD_DETOUR_FACTOR = 1.25;
+const SQUARE_PERIMETER_PER_RADIUS = 4 * Math.SQRT2;
+const WALKING_SPEED_KMH = 5;
+const ACCEPTABLE_ERROR = 0.2; // within 20% of the target
+const MIN_RADIUS = 100; // meters
+const MAX_RADIUS = 5000; // meters
+
+const clampRadius = (radius) =>
+  Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius));
+
+// Target as {type: 'distance', value: km} or {type: 'duration', value: minutes}
+const toTargetDistanceKm = (target) =>
+  target.type === "duration"
+    ? (target.value / 60) * WALKING_SPEED_KMH
+    : target.value;
+
+const measure = (route, target) =>
+  target.type === "duration" ? route.duration : route.distance;
+
+// Shaping waypoints for a loop heading out along `bearing`
+const getLoopWaypoints = (origin, bearing, radius) => {
+  const center = destinationPoint(origin.lat, origin.lng, bearing, radius);
+  // The origin sits on the circle opposite the bearing; walk round from there
+  return [90, 0, -90].map((offset) =>
+    destinationPoint(center.lat, center.lng, bearing + offset, radius)
+  );
+};
+
+// Which way the walker turns going from one bearing to another
+const getTurnModifier = (bearingBefore, bearingAfter) => {
+  const angle = ((bearingAfter - bearingBefore + 540) % 360) - 180;
+  const side = angle > 0 ? "right" : "left";
+  const size = Math.abs(angle);
+  if (size < 20) return "straight";
+  if (size < 60) return `slight ${side}`;
+  if (size < 140) return side;
+  if (size < 170) return `sharp ${side}`;
+  return "uturn";
+};
+
+// Each shaping waypoint ends a leg with an "arrive" step and starts the next
+// with a "depart". The walker passes straight through, so each such pair
+// becomes the turn made there and only the final arrival is kept.
+const withoutShapingArrivals = (steps = []) => {
+  const finish = steps.findLastIndex((step) => step.maneuver?.type === "arrive");
+
+  return steps.flatMap((step, index) => {
+    const type = step.maneuver?.type;
+    if (type === "depart" && steps[index - 1]?.maneuver?.type === "arrive") {
+      return [];
+    }
+    if (type !== "arrive" || index === finish) return [step];
+
+    const depart = steps[index + 1];
+    if (depart?.maneuver?.type !== "depart") return [];
+
+    const bearingBefore = step.maneuver.bearing_before;
+    const bearingAfter = depart.maneuver.bearing_after;
+    const modifier =
+      bearingBefore !== undefined && bearingAfter !== undefined
+        ? getTurnModifier(bearingBefore, bearingAfter)
+        : undefined;
+    return [
+      {
+        ...depart,
+        // The provider's text describes a departure
+        instruction: undefined,
+        maneuver: {
+          ...depart.maneuver,
+          type: !modifier || modifier === "straight" ? "continue" : "turn",
+          modifier,
+        },
+      },
+    ];
+  });
+};
+
+const routeLoop = async (origin, bearing, radius) => {
+  const loopWaypoints = getLoopWaypoints(origin, bearing, radius);
+  const route = await calculateWalkingRoute(origin, origin, loopWaypoints);
+
+  return {
+    ...route,
+    steps: withoutShapingArrivals(route.steps),
+    // Shaping points aren't stops the walker chose
+    waypointCoords: [],
+    loopWaypoints,
+    bearing,
+  };
+};
+
+// Route one candidate loop, rescaling the circle once to approach the target
+const buildCandidate = async (origin, target, bearing) => {
+  const targetDistance = toTargetDistanceKm(target) * 1000;
+  let radius = clampRadius(
+    targetDistance / (SQUARE_PERIMETER_PER_RADIUS * ROAD_DETOUR_FACTOR)
+  );
+
+  let best = await routeLoop(origin, bearing, radius);
+  const error = (route) =>
+    Math.abs(measure(route, target) - target.value) / target.value;
+
+  if (error(best) > ACCEPTABLE_ERROR && measure(best, target) > 0) {
+    radius = clampRadius(radius * (target.value / measure(best, target)));
+    const rescaled = await routeLoop(origin, bearing, radius);
+    if (error(rescaled) < error(best)) best = rescaled;
+  }
+
+  return { ...best, targetError: error(best) };
+};
+
+// Generate candidate loops from `origin` ({lat, lng, address}) that start and
+// end there and come close to the target distance or duration
+export const generateLoopRoutes = async (
+  origin,
+  target,
+  { candidates = 3 } = {}
+) => {
+  if (!target?.value || target.value <= 0) {
+    throw new Error("Please choose a loop distance or duration");
+  }
+
+  const originCoords =
+    typeof origin === "string" ? await geocodeAddress(origin) : origin;
+
+  // Spread headings evenly, with a random offset so retries explore new streets
+  const startBearing = Math.random() * 360;
+  const bearings = Array.from(
+    { length: candidates },
+    (_, i) => (startBearing + (i * 360) / candidates) % 360
+  );
+
+  // Sequential so we don't burst the routing server
+  const results = [];
+  for (const bearing of bearings) {
+    try {
+      results.push(await buildCandidate(originCoords, target, bearing));
+    } catch (error) {
+      console.warn(`Loop towards ${Math.round(bearing)}° failed:`, error);
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error("Could not find a loop route from this starting point");
+  }
+
+  results.sort((a, b) => a.targetError - b.targetError);
+
+  // Prefer loops within tolerance, but always offer the closest one
+  const acceptable = results.filter((r) => r.targetError <= ACCEPTABLE_ERROR);
+  return acceptable.length > 0 ? acceptable : results.slice(0, 1);
+};
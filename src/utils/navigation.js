@@ -0,0 +1,160 @@
+import { calculateDistance } from "./geo";
+
+// Turn-by-turn guidance from OSRM-style route steps (see routing.js).
+
+// Distance at which a manoeuvre counts as passed
+export const STEP_REACHED_RADIUS = 20; // meters
+// How many steps ahead to look for a walker who cut a corner
+const LOOKAHEAD_STEPS = 3;
+
+const COMPASS_DIRECTIONS = [
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+];
+
+const toCompassDirection = (bearing) =>
+  COMPASS_DIRECTIONS[Math.round(bearing / 45) % 8];
+
+const ORDINALS = ["first", "second", "third", "fourth", "fifth", "sixth"];
+
+const toOrdinal = (n) => ORDINALS[n - 1] || `${n}th`;
+
+const onto = (name) => (name ? ` onto ${name}` : "");
+
+// "Turn left onto Le Loi", "At the roundabout, take the second exit", ...
+export const formatInstruction = (step, { isFinal = true } = {}) => {
+  const { type, modifier, bearing_after: bearingAfter, exit } =
+    step.maneuver || {};
+  const name = step.name;
+
+  switch (type) {
+    case "depart": {
+      const direction =
+        bearingAfter !== undefined ? ` ${toCompassDirection(bearingAfter)}` : "";
+      return `Head${direction}${name ? ` on ${name}` : ""}`;
+    }
+    case "arrive":
+      return isFinal ? "Arrive at your destination" : "Arrive at your stop";
+    case "roundabout":
+    case "rotary":
+      return exit
+        ? `At the roundabout, take the ${toOrdinal(exit)} exit${onto(name)}`
+        : `Enter the roundabout${onto(name)}`;
+    case "exit roundabout":
+    case "exit rotary":
+      return `Exit the roundabout${onto(name)}`;
+    case "fork":
+      return `Keep ${modifier?.includes("left") ? "left" : "right"}${onto(name)}`;
+    case "continue":
+    case "new name":
+      return `Continue${modifier && modifier !== "straight" ? ` ${modifier}` : ""}${onto(name)}`;
+    default:
+      break;
+  }
+
+  // turn, end of road, merge, ramps and anything unknown
+  if (step.instruction) return step.instruction;
+  if (modifier === "uturn") return `Make a U-turn${onto(name)}`;
+  if (!modifier || modifier === "straight") return `Go straight${onto(name)}`;
+  return `Turn ${modifier}${onto(name)}`;
+};
+
+export const formatStepDistance = (meters) => {
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  // Round to a figure that's easy to hear and judge while walking
+  if (meters >= 100) return `${Math.round(meters / 50) * 50} m`;
+  return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+};
+
+// Route steps -> manoeuvre list: { text, type, modifier, location, distance }
+export const buildInstructions = (steps = []) => {
+  return steps
+    .filter((step) => step.maneuver?.location)
+    .map((step, index, all) => {
+      const [lng, lat] = step.maneuver.location;
+      return {
+        text: formatInstruction(step, { isFinal: index === all.length - 1 }),
+        type: step.maneuver.type,
+        modifier: step.maneuver.modifier,
+        location: { lat, lng },
+        distance: step.distance, // meters walked after this manoeuvre
+      };
+    })
+    // Waypoint legs repeat "depart" right after "arrive" at the same spot
+    .filter(
+      (instruction, index, all) =>
+        !(instruction.type === "depart" && all[index - 1]?.type === "arrive")
+    );
+};
+
+// Index of the next manoeuvre still ahead of the walker
+export const advanceInstructionIndex = (
+  instructions,
+  currentIndex,
+  position,
+  radius = STEP_REACHED_RADIUS
+) => {
+  let nextIndex = currentIndex;
+  const lastIndex = Math.min(
+    instructions.length - 1,
+    currentIndex + LOOKAHEAD_STEPS
+  );
+
+  for (let i = currentIndex; i <= lastIndex; i++) {
+    const { location } = instructions[i];
+    const distance = calculateDistance(
+      position.lat,
+      position.lng,
+      location.lat,
+      location.lng
+    );
+    if (distance <= radius) {
+      nextIndex = i + 1;
+    }
+  }
+
+  return nextIndex;
+};
+
+// Prompts are written in English whatever the story's language, so they're
+// spoken with an English voice
+export const GUIDANCE_LANGUAGE = "en";
+
+// Distance within which an upcoming manoeuvre is announced
+export const ANNOUNCE_DISTANCE = 60; // meters
+
+// Spoken form of a distance: units in words so every voice reads them alike
+const formatSpokenDistance = (meters) => {
+  const rounded = formatStepDistance(meters);
+  return rounded.endsWith(" km")
+    ? rounded.replace(" km", " kilometres")
+    : rounded.replace(" m", " metres");
+};
+
+// "In 50 metres, turn right onto Le Loi"
+export const formatSpokenPrompt = (instruction, distance) => {
+  if (distance <= STEP_REACHED_RADIUS) return instruction.text;
+
+  const text =
+    instruction.text.charAt(0).toLowerCase() + instruction.text.slice(1);
+  return `In ${formatSpokenDistance(distance)}, ${text}`;
+};
+
+// Off-route hysteresis: leaving the route takes more than rejoining it, so a
+// walker near the threshold doesn't flicker between states
+export const OFF_ROUTE_DISTANCE = 50; // meters
+export const ON_ROUTE_DISTANCE = 25; // meters
+// How long the walker must stay off route before it is recalculated
+export const REROUTE_DELAY = 20000; // ms
+
+export const isOffRoute = (wasOffRoute, distanceFromRoute, accuracy = 0) => {
+  if (wasOffRoute) return distanceFromRoute > ON_ROUTE_DISTANCE;
+  // A vague fix can put the walker far from a route they're actually on
+  return distanceFromRoute - Math.min(accuracy || 0, 50) > OFF_ROUTE_DISTANCE;
+};
@@ -0,0 +1,69 @@
+import { getPreference, savePreference } from "./database";
+
+// Recent and saved places are stored as preferences:
+//   recentPlaces: [{ name, lat, lng }]          newest first
+//   savedPlaces:  [{ label, name, lat, lng }]   e.g. label "Home", "Work"
+
+const RECENT_PLACES_KEY = "recentPlaces";
+const SAVED_PLACES_KEY = "savedPlaces";
+const MAX_RECENT_PLACES = 8;
+
+const isSameSpot = (a, b) =>
+  Math.abs(a.lat - b.lat) < 1e-5 && Math.abs(a.lng - b.lng) < 1e-5;
+
+const toStoredPlace = (place) => ({
+  name: place.name || place.address,
+  lat: place.lat,
+  lng: place.lng,
+});
+
+export const getRecentPlaces = async () => {
+  return (await getPreference(RECENT_PLACES_KEY)) || [];
+};
+
+export const addRecentPlace = async (place) => {
+  const stored = toStoredPlace(place);
+  if (!stored.name || stored.lat == null || stored.lng == null) {
+    return getRecentPlaces();
+  }
+
+  const recent = await getRecentPlaces();
+  const updated = [
+    stored,
+    ...recent.filter((p) => !isSameSpot(p, stored)),
+  ].slice(0, MAX_RECENT_PLACES);
+
+  await savePreference(RECENT_PLACES_KEY, updated);
+  return updated;
+};
+
+export const getSavedPlaces = async () => {
+  return (await getPreference(SAVED_PLACES_KEY)) || [];
+};
+
+// Save a place under a label, replacing any place with the same label
+export const savePlace = async (label, place) => {
+  const trimmedLabel = label.trim();
+  if (!trimmedLabel) {
+    throw new Error("Please enter a name for this place");
+  }
+
+  const saved = await getSavedPlaces();
+  const updated = [
+    ...saved.filter(
+      (p) => p.label.toLowerCase() !== trimmedLabel.toLowerCase()
+    ),
+    { label: trimmedLabel, ...toStoredPlace(place) },
+  ];
+
+  await savePreference(SAVED_PLACES_KEY, updated);
+  return updated;
+};
+
+export const removeSavedPlace = async (label) => {
+  const saved = await getSavedPlaces();
+  const updated = saved.filter((p) => p.label !== label);
+
+  await savePreference(SAVED_PLACES_KEY, updated);
+  return updated;
+};
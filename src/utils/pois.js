@@ -0,0 +1,326 @@
+import { getPreference, savePreference } from "./database";
+import { calculateDistance } from "./geo";
+import {
+  distanceToPolyline,
+  findNearestCoordinateIndex,
+  getCumulativeDistances,
+} from "./leafletMaps";
+
+// Points of interest near a route: landmarks, parks, monuments and historic
+// sites the story can talk about and checkpoints can be placed at. Sources
+// are an Overpass API endpoint or a GeoJSON POI pack, and every source
+// normalises its results to:
+//   { id, name, lat, lng, category, facts }
+// where facts is a short list of sentences fit for the story prompt.
+
+const POI_PREFERENCE_KEY = "poiSource";
+const POI_PACK_PREFERENCE_KEY = "poiPack";
+const MAX_FACTS = 3;
+const MAX_FACT_LENGTH = 160;
+// Route vertices sent to Overpass; more only makes the query slower
+const MAX_QUERY_POINTS = 60;
+// Route planning waits for the lookup, so a slow server is given up on
+const REQUEST_TIMEOUT = 10000; // ms
+
+export const PUBLIC_OVERPASS_URL = "https://overpass-api.de/api/interpreter";
+
+export const POI_CATEGORIES = [
+  "landmark",
+  "monument",
+  "historic",
+  "museum",
+  "park",
+  "viewpoint",
+  "place of worship",
+];
+
+const truncate = (text) =>
+  text.length > MAX_FACT_LENGTH
+    ? `${text.slice(0, MAX_FACT_LENGTH - 1).trimEnd()}…`
+    : text;
+
+const cleanFacts = (facts) =>
+  facts
+    .filter((fact) => typeof fact === "string" && fact.trim())
+    .map((fact) => truncate(fact.trim()))
+    .slice(0, MAX_FACTS);
+
+// OpenStreetMap tags -> one of POI_CATEGORIES
+const getOsmCategory = (tags) => {
+  if (tags.historic === "monument" || tags.historic === "memorial") {
+    return "monument";
+  }
+  if (tags.historic) return "historic";
+  if (tags.tourism === "museum") return "museum";
+  if (tags.tourism === "viewpoint") return "viewpoint";
+  if (tags.leisure === "park" || tags.leisure === "garden") return "park";
+  if (tags.amenity === "place_of_worship") return "place of worship";
+  return "landmark";
+};
+
+const getOsmFacts = (tags) =>
+  cleanFacts([
+    tags.description,
+    tags.inscription && `Its inscription reads: ${tags.inscription}`,
+    tags.start_date && `Dates from ${tags.start_date}`,
+    tags.architect && `Designed by ${tags.architect}`,
+    tags.heritage && "Listed as a heritage site",
+    tags.wikipedia && `Has a Wikipedia article (${tags.wikipedia})`,
+  ]);
+
+const normaliseOverpassElement = (element) => {
+  const tags = element.tags || {};
+  return {
+    id: `osm:${element.type}/${element.id}`,
+    name: tags["name:en"] || tags.name,
+    lat: element.lat ?? element.center?.lat,
+    lng: element.lon ?? element.center?.lon,
+    category: getOsmCategory(tags),
+    facts: getOsmFacts(tags),
+  };
+};
+
+// Every `step`-th vertex so the query stays a manageable size
+const sampleCoordinates = (coordinates) => {
+  const step = Math.max(1, Math.ceil(coordinates.length / MAX_QUERY_POINTS));
+  const sampled = coordinates.filter((_, i) => i % step === 0);
+  const last = coordinates[coordinates.length - 1];
+  return sampled[sampled.length - 1] === last ? sampled : [...sampled, last];
+};
+
+export const createOverpassSource = ({ baseUrl = PUBLIC_OVERPASS_URL } = {}) => {
+  const findNearRoute = async (coordinates, radius) => {
+    // Overpass takes a polyline as "around:radius,lat,lng,lat,lng,..."
+    const around = `around:${Math.round(radius)},${sampleCoordinates(
+      coordinates
+    )
+      .map(([lng, lat]) => `${lat.toFixed(5)},${lng.toFixed(5)}`)
+      .join(",")}`;
+    const filters = [
+      '["tourism"~"^(attraction|museum|viewpoint|artwork)$"]',
+      '["historic"]',
+      '["leisure"~"^(park|garden)$"]',
+      '["amenity"="place_of_worship"]',
+    ];
+    const query = `[out:json][timeout:${REQUEST_TIMEOUT / 1000}];(${filters
+      .map((filter) => `nwr${filter}["name"](${around});`)
+      .join("")});out center tags;`;
+
+    const response = await fetch(baseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: `data=${encodeURIComponent(query)}`,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`Overpass API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.elements || []).map(normaliseOverpassElement);
+  };
+
+  return { name: "overpass", findNearRoute };
+};
+
+const normaliseGeoJsonFeature = (feature, index) => {
+  const properties = feature.properties || {};
+  const [lng, lat] = feature.geometry?.coordinates || [];
+  const facts = Array.isArray(properties.facts)
+    ? properties.facts
+    : [properties.facts, properties.description];
+
+  return {
+    id: `pack:${properties.id ?? index}`,
+    name: properties.name,
+    lat,
+    lng,
+    category: POI_CATEGORIES.includes(properties.category)
+      ? properties.category
+      : "landmark",
+    facts: cleanFacts(facts),
+  };
+};
+
+const parsePoiPack = (pack) => {
+  const geojson = typeof pack === "string" ? JSON.parse(pack) : pack;
+  if (geojson?.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
+    throw new Error("A POI pack must be a GeoJSON FeatureCollection");
+  }
+  return geojson.features
+    .filter((feature) => feature.geometry?.type === "Point")
+    .map(normaliseGeoJsonFeature);
+};
+
+// A GeoJSON FeatureCollection of Point features with name, category and
+// facts (or description) properties, fetched from `url` or imported with
+// importPoiPack()
+export const createGeoJsonSource = ({ url } = {}) => {
+  let pois = null;
+
+  const load = async () => {
+    if (url) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`POI pack error: ${response.status}`);
+      }
+      return parsePoiPack(await response.json());
+    }
+    const pack = await getPreference(POI_PACK_PREFERENCE_KEY);
+    return pack ? parsePoiPack(pack) : [];
+  };
+
+  // The whole pack is filtered by distance in findPoisAlongRoute
+  const findNearRoute = async () => {
+    if (!pois) pois = await load();
+    return pois;
+  };
+
+  return { name: url ? `geojson:${url}` : "geojson", findNearRoute };
+};
+
+const poiSourceFactories = {
+  overpass: createOverpassSource,
+  geojson: createGeoJsonSource,
+  none: () => ({ name: "none", findNearRoute: async () => [] }),
+};
+
+// Default config from the environment
+const getDefaultPoiConfig = () => {
+  const config = { type: import.meta.env.VITE_POI_SOURCE || "overpass" };
+  if (import.meta.env.VITE_POI_URL) {
+    config[config.type === "geojson" ? "url" : "baseUrl"] =
+      import.meta.env.VITE_POI_URL;
+  }
+  return config;
+};
+
+export const createPoiSource = (config = {}) => {
+  const { type = "overpass", ...options } = config;
+  const factory = poiSourceFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown POI source: ${type}`);
+  }
+  return factory(options);
+};
+
+export const savePoiConfig = async (config) => {
+  // Validate before persisting so a bad config can't break route planning
+  createPoiSource(config);
+  return savePreference(POI_PREFERENCE_KEY, config);
+};
+
+// Store a local GeoJSON POI pack and use it instead of Overpass
+export const importPoiPack = async (pack) => {
+  const geojson = typeof pack === "string" ? JSON.parse(pack) : pack;
+  const pois = parsePoiPack(geojson);
+  await savePreference(POI_PACK_PREFERENCE_KEY, geojson);
+  await savePoiConfig({ type: "geojson" });
+  return pois.length;
+};
+
+// Sources are cached per config so a loaded pack is reused
+const poiSources = new Map();
+
+const getPoiSource = async () => {
+  let config = getDefaultPoiConfig();
+  try {
+    const saved = await getPreference(POI_PREFERENCE_KEY);
+    if (saved?.type) config = saved;
+  } catch (error) {
+    console.warn("Failed to load POI source preference:", error);
+  }
+
+  const cacheKey = JSON.stringify(config);
+  if (!poiSources.has(cacheKey)) {
+    poiSources.set(cacheKey, createPoiSource(config));
+  }
+  return poiSources.get(cacheKey);
+};
+
+// Named POIs within `radius` meters of the route, in the order they're
+// passed, each with its distance from and along the route
+export const findPoisAlongRoute = async (route, { radius = 80, limit = 30 } = {}) => {
+  const coordinates = route.geometry?.coordinates || [];
+  if (coordinates.length < 2) return [];
+
+  const source = await getPoiSource();
+  const candidates = await source.findNearRoute(coordinates, radius);
+  const cumulative = getCumulativeDistances(coordinates);
+  const seenNames = new Set();
+
+  return candidates
+    .filter((poi) => poi.name && Number.isFinite(poi.lat) && Number.isFinite(poi.lng))
+    .map((poi) => {
+      const routeIndex = findNearestCoordinateIndex(coordinates, poi);
+      return {
+        ...poi,
+        routeIndex,
+        distanceFromRoute: distanceToPolyline(poi, coordinates),
+        distanceAlongRoute: cumulative[routeIndex],
+      };
+    })
+    .filter((poi) => poi.distanceFromRoute <= radius)
+    .sort((a, b) => a.distanceAlongRoute - b.distanceAlongRoute)
+    // Big parks and buildings come back as several elements
+    .filter((poi) => {
+      const key = poi.name.toLowerCase();
+      if (seenNames.has(key)) return false;
+      seenNames.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// Move auto checkpoints onto the nearest POI a little way along the route.
+// The checkpoint stays on the route itself, where the walker will pass, and
+// takes the POI's name; the walker's own stops are left alone.
+export const snapCheckpointsToPois = (
+  route,
+  checkpoints,
+  pois,
+  { maxShift = 200 } = {}
+) => {
+  const coordinates = route.geometry?.coordinates || [];
+  const used = new Set();
+
+  return checkpoints.map((checkpoint) => {
+    if (checkpoint.isStop || checkpoint.distanceAlongRoute === undefined) {
+      return checkpoint;
+    }
+
+    const poi = pois
+      .filter((candidate) => !used.has(candidate.id))
+      .filter(
+        (candidate) =>
+          Math.abs(candidate.distanceAlongRoute - checkpoint.distanceAlongRoute) <=
+          maxShift
+      )
+      .sort(
+        (a, b) =>
+          Math.abs(a.distanceAlongRoute - checkpoint.distanceAlongRoute) -
+          Math.abs(b.distanceAlongRoute - checkpoint.distanceAlongRoute)
+      )[0];
+
+    if (!poi) return checkpoint;
+    used.add(poi.id);
+
+    const [lng, lat] = coordinates[poi.routeIndex];
+    return {
+      ...checkpoint,
+      position: { lat, lng },
+      description: poi.name,
+      routeIndex: poi.routeIndex,
+      distanceAlongRoute: poi.distanceAlongRoute,
+      poi: {
+        name: poi.name,
+        category: poi.category,
+        facts: poi.facts,
+        distanceFromRoute: Math.round(
+          calculateDistance(lat, lng, poi.lat, poi.lng)
+        ),
+      },
+    };
+  });
+};
@@ -0,0 +1,113 @@
+import { calculateDistance } from "./geo";
+
+// Position filter pipeline for raw watchPosition fixes:
+//   1. reject fixes whose reported accuracy is too poor
+//   2. reject jumps that imply an impossible walking speed
+//   3. smooth with a simple Kalman filter weighted by accuracy
+//   4. only count distance once the walker has really moved
+// Distance, checkpoint detection and track recording all consume its output.
+
+const DEFAULT_OPTIONS = {
+  maxAccuracy: 50, // meters; worse fixes are dropped
+  maxSpeed: 7, // m/s (~25 km/h), generous for jogging walkers
+  minMovement: 8, // meters before distance is counted
+  processNoise: 2, // m/s; how fast we expect the true position to drift
+  // After this many jumps in a row the jump is probably real (e.g. after a
+  // tunnel), so the filter restarts from the new fix
+  maxConsecutiveJumps: 3,
+};
+
+export const createPositionFilter = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  let lastRaw = null; // last accepted raw fix
+  let estimate = null; // { lat, lng, variance, timestamp }
+  let anchor = null; // last position distance was counted from
+  let consecutiveJumps = 0;
+
+  const reset = () => {
+    lastRaw = null;
+    estimate = null;
+    anchor = null;
+    consecutiveJumps = 0;
+  };
+
+  const smooth = (fix) => {
+    const accuracy = Math.max(fix.accuracy || 1, 1);
+
+    if (!estimate) {
+      estimate = {
+        lat: fix.lat,
+        lng: fix.lng,
+        variance: accuracy * accuracy,
+        timestamp: fix.timestamp,
+      };
+      return;
+    }
+
+    const dt = Math.max(0, (fix.timestamp - estimate.timestamp) / 1000);
+    const variance =
+      estimate.variance + dt * config.processNoise * config.processNoise;
+    const gain = variance / (variance + accuracy * accuracy);
+
+    estimate = {
+      lat: estimate.lat + gain * (fix.lat - estimate.lat),
+      lng: estimate.lng + gain * (fix.lng - estimate.lng),
+      variance: (1 - gain) * variance,
+      timestamp: fix.timestamp,
+    };
+  };
+
+  // Returns { accepted, reason, position, distance } where distance (meters)
+  // is the movement to add to the trip total for this fix
+  const process = (fix) => {
+    if (fix.accuracy > config.maxAccuracy) {
+      return { accepted: false, reason: "accuracy", position: null, distance: 0 };
+    }
+
+    if (lastRaw) {
+      const dt = (fix.timestamp - lastRaw.timestamp) / 1000;
+      const jump = calculateDistance(lastRaw.lat, lastRaw.lng, fix.lat, fix.lng);
+      const impliedSpeed = dt > 0 ? jump / dt : Infinity;
+
+      // Allow for the fixes' own uncertainty before calling it a jump
+      const tolerance = (fix.accuracy || 0) + (lastRaw.accuracy || 0);
+      if (impliedSpeed > config.maxSpeed && jump > tolerance) {
+        consecutiveJumps++;
+        if (consecutiveJumps < config.maxConsecutiveJumps) {
+          return { accepted: false, reason: "speed", position: null, distance: 0 };
+        }
+        reset();
+      }
+    }
+
+    consecutiveJumps = 0;
+    lastRaw = fix;
+    smooth(fix);
+
+    const position = {
+      ...fix,
+      lat: estimate.lat,
+      lng: estimate.lng,
+      rawLat: fix.lat,
+      rawLng: fix.lng,
+      smoothedAccuracy: Math.sqrt(estimate.variance),
+    };
+
+    if (!anchor) {
+      anchor = position;
+      return { accepted: true, reason: null, position, distance: 0 };
+    }
+
+    const moved = calculateDistance(anchor.lat, anchor.lng, position.lat, position.lng);
+    const threshold = Math.max(config.minMovement, (fix.accuracy || 0) / 2);
+    if (moved < threshold) {
+      return { accepted: true, reason: "stationary", position, distance: 0 };
+    }
+
+    anchor = position;
+    return { accepted: true, reason: null, position, distance: moved };
+  };
+
+  return { process, reset };
+};
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { createPositionFilter } from "./positionFilter";
+
+const START = { lat: 10.7769, lng: 106.7029 };
+const METERS_PER_DEG_LAT = 111320;
+
+// A fix `north` meters north of START, `seconds` into the walk
+const fix = (north, seconds, accuracy = 5) => ({
+  lat: START.lat + north / METERS_PER_DEG_LAT,
+  lng: START.lng,
+  accuracy,
+  timestamp: seconds * 1000,
+});
+
+describe("createPositionFilter", () => {
+  it("drops fixes less accurate than 50 m", () => {
+    const filter = createPositionFilter();
+    expect(filter.process(fix(0, 0, 51))).toMatchObject({
+      accepted: false,
+      reason: "accuracy",
+    });
+    expect(filter.process(fix(0, 0, 50)).accepted).toBe(true);
+  });
+
+  it("counts no distance for the first fix or for standing still", () => {
+    const filter = createPositionFilter();
+    expect(filter.process(fix(0, 0)).distance).toBe(0);
+    expect(filter.process(fix(5, 5))).toMatchObject({
+      accepted: true,
+      reason: "stationary",
+      distance: 0,
+    });
+  });
+
+  it("counts smoothed distance once the walker has moved", () => {
+    const filter = createPositionFilter();
+    filter.process(fix(0, 0));
+    const { reason, distance } = filter.process(fix(20, 10));
+
+    expect(reason).toBeNull();
+    // Smoothing pulls the estimate part of the way towards the new fix
+    expect(distance).toBeGreaterThan(8);
+    expect(distance).toBeLessThan(20);
+  });
+
+  it("needs more movement before counting it when fixes are vague", () => {
+    const filter = createPositionFilter();
+    filter.process(fix(0, 0, 40));
+    // 15 m is past the 8 m minimum but within half the 40 m accuracy
+    expect(filter.process(fix(15, 10, 40)).reason).toBe("stationary");
+  });
+
+  it("rejects jumps faster than walking, allowing for the fixes' accuracy", () => {
+    const filter = createPositionFilter();
+    filter.process(fix(0, 0, 20));
+    // 30 m in a second is too fast, but within the two fixes' 40 m of doubt
+    expect(filter.process(fix(30, 1, 20)).accepted).toBe(true);
+    expect(filter.process(fix(500, 2, 5))).toMatchObject({
+      accepted: false,
+      reason: "speed",
+    });
+  });
+
+  it("restarts from a jump that persists", () => {
+    const filter = createPositionFilter();
+    filter.process(fix(0, 0));
+
+    expect(filter.process(fix(500, 10)).reason).toBe("speed");
+    expect(filter.process(fix(500, 20)).reason).toBe("speed");
+    // The third jump in a row is taken as real, without counting distance
+    const result = filter.process(fix(500, 30));
+    expect(result).toMatchObject({ accepted: true, distance: 0 });
+    expect(result.position.rawLat).toBeCloseTo(fix(500, 30).lat, 8);
+  });
+});
@@ -0,0 +1,127 @@
+import { calculateDistance } from "./geo";
+
+// Rules for which checkpoints count as the walker goes, and when the walk is
+// over. Chapters follow the order checkpoints are reached, not their index,
+// so no chapter is ever skipped.
+
+export const PROGRESSION_MODES = [
+  { value: "sequential", label: "In order" },
+  { value: "any", label: "Any order" },
+  { value: "nearest", label: "Nearest next" },
+];
+export const DEFAULT_PROGRESSION_MODE = "sequential";
+
+// Distance at which a checkpoint or the destination counts as reached
+export const CHECKPOINT_RADIUS = 50; // meters
+// Share of a loop's planned distance to walk before its finish can trigger
+const LOOP_MIN_DISTANCE_RATIO = 0.6;
+
+// Indices of the checkpoints that count if reached now:
+//   sequential - only the next one in route order
+//   any        - every checkpoint not yet reached
+//   nearest    - whichever remaining checkpoint is closest to the walker
+export const getEligibleCheckpoints = (
+  mode,
+  checkpoints,
+  completedCheckpoints,
+  position
+) => {
+  const remaining = checkpoints
+    .map((_, index) => index)
+    .filter((index) => !completedCheckpoints.includes(index));
+
+  if (remaining.length === 0) return [];
+
+  switch (mode) {
+    case "any":
+      return remaining;
+    case "nearest": {
+      const distanceTo = (index) =>
+        calculateDistance(
+          position.lat,
+          position.lng,
+          checkpoints[index].position.lat,
+          checkpoints[index].position.lng
+        );
+      const nearest = remaining.reduce((best, index) =>
+        distanceTo(index) < distanceTo(best) ? index : best
+      );
+      return [nearest];
+    }
+    default:
+      return [remaining[0]];
+  }
+};
+
+// Indices of the checkpoints still to come, in the order a new route (e.g. a
+// reroute) should visit them: route order when they're taken in turn, else
+// each one the nearest to the last, starting from the walker
+export const getRemainingCheckpointOrder = (
+  mode,
+  checkpoints,
+  completedCheckpoints,
+  position
+) => {
+  if (mode !== "any" && mode !== "nearest") {
+    return checkpoints
+      .map((_, index) => index)
+      .filter((index) => !completedCheckpoints.includes(index));
+  }
+
+  const order = [];
+  let from = position;
+  for (;;) {
+    const [next] = getEligibleCheckpoints(
+      "nearest",
+      checkpoints,
+      [...completedCheckpoints, ...order],
+      from
+    );
+    if (next === undefined) return order;
+    order.push(next);
+    from = checkpoints[next].position;
+  }
+};
+
+// A loop starts where it finishes, so the walker is "at the destination" the
+// moment they set off
+export const isLoopRoute = (route) => {
+  if (route?.isLoop) return true;
+  if (!route?.originCoords || !route?.destCoords) return false;
+
+  return (
+    calculateDistance(
+      route.originCoords.lat,
+      route.originCoords.lng,
+      route.destCoords.lat,
+      route.destCoords.lng
+    ) <= CHECKPOINT_RADIUS
+  );
+};
+
+// Whether the walk is over: the walker is at the destination. Reaching the
+// last checkpoint isn't enough, as its chapter (and any queued behind it)
+// would be cut off. A loop must be mostly walked first.
+export const hasReachedFinish = ({
+  route,
+  position,
+  totalDistance, // km
+}) => {
+  if (!route?.destCoords || !position) return false;
+
+  if (
+    isLoopRoute(route) &&
+    totalDistance < (route.distance || 0) * LOOP_MIN_DISTANCE_RATIO
+  ) {
+    return false;
+  }
+
+  return (
+    calculateDistance(
+      position.lat,
+      position.lng,
+      route.destCoords.lat,
+      route.destCoords.lng
+    ) <= CHECKPOINT_RADIUS
+  );
+};
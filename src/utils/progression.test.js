@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import {
+  getEligibleCheckpoints,
+  getRemainingCheckpointOrder,
+  hasReachedFinish,
+  isLoopRoute,
+} from "./progression";
+
+const METERS_PER_DEG_LAT = 111320;
+const START = { lat: 10.7769, lng: 106.7029 };
+
+// A point `north` meters north of START
+const north = (meters) => ({
+  lat: START.lat + meters / METERS_PER_DEG_LAT,
+  lng: START.lng,
+});
+
+// Checkpoints every 200 m along a straight route north
+const checkpoints = [200, 400, 600, 800].map((meters) => ({
+  position: north(meters),
+}));
+
+describe("getEligibleCheckpoints", () => {
+  it("only allows the next checkpoint in order by default", () => {
+    expect(getEligibleCheckpoints("sequential", checkpoints, [0], north(0))).toEqual([1]);
+    expect(getEligibleCheckpoints("unknown", checkpoints, [], north(0))).toEqual([0]);
+  });
+
+  it("allows any checkpoint not yet reached", () => {
+    expect(getEligibleCheckpoints("any", checkpoints, [1, 2], north(0))).toEqual([0, 3]);
+  });
+
+  it("allows only the nearest remaining checkpoint", () => {
+    expect(getEligibleCheckpoints("nearest", checkpoints, [], north(590))).toEqual([2]);
+    expect(getEligibleCheckpoints("nearest", checkpoints, [2], north(610))).toEqual([3]);
+  });
+
+  it("allows nothing once every checkpoint is reached", () => {
+    expect(getEligibleCheckpoints("any", checkpoints, [0, 1, 2, 3], north(0))).toEqual([]);
+  });
+});
+
+describe("getRemainingCheckpointOrder", () => {
+  it("keeps route order for sequential walks", () => {
+    expect(
+      getRemainingCheckpointOrder("sequential", checkpoints, [0], north(700))
+    ).toEqual([1, 2, 3]);
+  });
+
+  it("carries on from the walker rather than back through earlier checkpoints", () => {
+    expect(
+      getRemainingCheckpointOrder("nearest", checkpoints, [], north(790))
+    ).toEqual([3, 2, 1, 0]);
+    expect(
+      getRemainingCheckpointOrder("any", checkpoints, [3], north(610))
+    ).toEqual([2, 1, 0]);
+  });
+});
+
+describe("isLoopRoute", () => {
+  it("is a loop when flagged or when it ends where it starts", () => {
+    expect(isLoopRoute({ isLoop: true })).toBe(true);
+    expect(isLoopRoute({ originCoords: START, destCoords: north(40) })).toBe(true);
+    expect(isLoopRoute({ originCoords: START, destCoords: north(60) })).toBe(false);
+    expect(isLoopRoute(null)).toBe(false);
+  });
+});
+
+describe("hasReachedFinish", () => {
+  const oneWay = { originCoords: START, destCoords: north(1000), distance: 1 };
+  const loop = { originCoords: START, destCoords: START, distance: 2, isLoop: true };
+
+  it("finishes within 50 m of the destination", () => {
+    const finish = (meters) =>
+      hasReachedFinish({ route: oneWay, position: north(meters), totalDistance: 1 });
+    expect(finish(955)).toBe(true);
+    expect(finish(940)).toBe(false);
+  });
+
+  it("doesn't finish a one-way walk at its last checkpoint", () => {
+    // The last chapter, unlocked there, still has to be heard
+    expect(
+      hasReachedFinish({ route: oneWay, position: north(800), totalDistance: 0.8 })
+    ).toBe(false);
+  });
+
+  it("only finishes a loop back at the start after 60% of its distance", () => {
+    const finish = (totalDistance) =>
+      hasReachedFinish({ route: loop, position: START, totalDistance });
+    expect(finish(1.1)).toBe(false);
+    expect(finish(1.2)).toBe(true);
+    // Every checkpoint done still leaves the way back
+    expect(
+      hasReachedFinish({ route: loop, position: north(800), totalDistance: 1.6 })
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,326 @@
+import {
+  calculateWalkingRoute,
+  generateCheckpoints,
+  findNearestCoordinateIndex,
+  calculateDistance,
+  getCumulativeDistances,
+} from "./leafletMaps";
+import { findPoisAlongRoute, snapCheckpointsToPois } from "./pois";
+import { reverseGeocodeBatch, formatPlaceAddress } from "./geocoding";
+import { generateFallbackStory } from "./gemini";
+import { createStoryWriter } from "./storyWriter";
+import { getStoryPreferencesKey } from "./storyPreferences";
+import { saveStory, getStory, generateRouteKey } from "./database";
+
+// Human-readable label for an origin/destination (address string or coords)
+const getPlaceLabel = (place) => {
+  if (typeof place === "string") return place;
+  return place.address || `${place.lat.toFixed(4)}, ${place.lng.toFixed(4)}`;
+};
+
+// Auto checkpoints this close to a stop would trigger a chapter twice
+const MIN_CHECKPOINT_SPACING = 150; // meters
+
+// Merge the walker's stops with auto checkpoints, in the order they're walked.
+// `stopAddresses` are the stops' street addresses, where known.
+const mergeCheckpoints = (route, autoCheckpoints, stopAddresses = []) => {
+  const coordinates = route.geometry?.coordinates || [];
+  const cumulative = getCumulativeDistances(coordinates);
+  let searchFrom = 0;
+
+  // Stops are visited in order, so each one lies after the previous one
+  const stopCheckpoints = route.waypointCoords.map((stop, i) => {
+    const routeIndex = findNearestCoordinateIndex(coordinates, stop, searchFrom);
+    searchFrom = routeIndex;
+    return {
+      position: { lat: stop.lat, lng: stop.lng },
+      description: stop.address || getPlaceLabel(stop),
+      routeIndex,
+      distanceAlongRoute: cumulative[routeIndex] || 0, // meters from the start
+      isStop: true,
+      ...(stopAddresses[i] && { address: stopAddresses[i] }),
+    };
+  });
+
+  const spacedAutoCheckpoints = autoCheckpoints.filter(
+    (checkpoint) =>
+      !stopCheckpoints.some(
+        (stop) =>
+          calculateDistance(
+            stop.position.lat,
+            stop.position.lng,
+            checkpoint.position.lat,
+            checkpoint.position.lng
+          ) < MIN_CHECKPOINT_SPACING
+      )
+  );
+
+  return [...stopCheckpoints, ...spacedAutoCheckpoints]
+    .sort((a, b) => a.routeIndex - b.routeIndex)
+    .map((checkpoint, i) => ({ ...checkpoint, index: i + 1 }));
+};
+
+// Name checkpoints by the street address they were given. Checkpoints named
+// after a POI and stops with an address keep their name; the rest are named
+// by the street they're on rather than "Checkpoint N" or bare coordinates.
+const nameCheckpointsByAddress = (checkpoints) =>
+  checkpoints.map((checkpoint) => {
+    if (!checkpoint.address) return checkpoint;
+
+    const keepsName =
+      checkpoint.poi ||
+      (checkpoint.isStop &&
+        checkpoint.description !== getPlaceLabel(checkpoint.position));
+    return keepsName
+      ? checkpoint
+      : {
+          ...checkpoint,
+          description:
+            formatPlaceAddress(checkpoint.address) || checkpoint.description,
+        };
+  });
+
+// Other landmarks along the way the story may mention
+const MAX_STORY_LANDMARKS = 5;
+// The story waits on the POI and address lookups, so they only get this long
+// before the trip is planned with whatever has come back
+const LOOKUP_BUDGET = 5000; // ms
+
+const withinBudget = (promise, fallback) =>
+  Promise.race([
+    promise,
+    new Promise((resolve) => setTimeout(() => resolve(fallback), LOOKUP_BUDGET)),
+  ]);
+
+// Cache a story once every chapter has really been written; a walk
+// abandoned part-way, or chapters that fell back, leave nothing cached
+const cacheWhenWritten = (routeKey, storyWriter) =>
+  storyWriter
+    .whenDone()
+    .then((story) => {
+      if (story.chapters.every((c) => !c.pending && !c.fallback)) {
+        return saveStory(routeKey, story);
+      }
+    })
+    .catch((error) => console.warn("Failed to cache story:", error));
+
+// Generate or retrieve cached story for a route. Resolves as soon as the
+// first chapter can be read, with the `storyWriter` still writing the rest
+// (null when the story is already complete).
+export const getRouteStory = async (
+  origin,
+  destination,
+  checkpoints,
+  duration,
+  landmarks = [],
+  preferences
+) => {
+  // Each set of story preferences gets its own story for the route
+  const routeKey = generateRouteKey(
+    origin,
+    destination,
+    checkpoints,
+    getStoryPreferencesKey(preferences)
+  );
+
+  // Told in the walker's language, which the narration voice follows
+  const fallbackStory = () => ({
+    ...generateFallbackStory(
+      origin,
+      destination,
+      checkpoints,
+      preferences?.language
+    ),
+    preferences,
+  });
+
+  try {
+    // Try to get cached story first
+    const cachedStory = await getStory(routeKey);
+    if (cachedStory && cachedStory.story) {
+      return { story: cachedStory.story, storyWriter: null };
+    }
+
+    // Generate new story, first chapter first
+    try {
+      const storyWriter = createStoryWriter({
+        origin,
+        destination,
+        checkpoints,
+        estimatedDuration: duration,
+        landmarks,
+        preferences,
+      });
+      const story = await storyWriter.start();
+      cacheWhenWritten(routeKey, storyWriter);
+      return { story, storyWriter };
+    } catch (geminiError) {
+      console.warn("Gemini API failed, using fallback story:", geminiError);
+      // Kept on the story so the walker can be told why it's the simple one
+      return {
+        story: {
+          ...fallbackStory(),
+          fallbackReason: geminiError.message,
+        },
+        storyWriter: null,
+      };
+    }
+  } catch (storyError) {
+    console.warn("Story generation failed, using fallback:", storyError);
+    return { story: fallbackStory(), storyWriter: null };
+  }
+};
+
+// Carry on writing a story saved part-way through, e.g. when an unfinished
+// walk is resumed after a reload
+export const continueRouteStory = (route, checkpoints, story) => {
+  if (story.chapters.every((c) => !c.pending)) return null;
+
+  const storyWriter = createStoryWriter(
+    {
+      origin: route.origin,
+      destination: route.destination,
+      checkpoints,
+      estimatedDuration: route.duration,
+      preferences: story.preferences,
+    },
+    story
+  );
+  storyWriter.start().catch(console.error);
+  cacheWhenWritten(
+    generateRouteKey(
+      route.origin,
+      route.destination,
+      checkpoints,
+      getStoryPreferencesKey(story.preferences)
+    ),
+    storyWriter
+  );
+  return storyWriter;
+};
+
+// Add checkpoints and story to a calculated route
+export const buildTripData = async (
+  routeResult,
+  {
+    origin,
+    destination,
+    numCheckpoints = 4,
+    checkpointSpacing = "distance",
+    isLoop = false,
+    storyPreferences,
+  }
+) => {
+  const stops = routeResult.waypointCoords;
+  const plainCheckpoints = generateCheckpoints(routeResult, numCheckpoints, {
+    spacing: checkpointSpacing,
+  });
+
+  // Real places near the route and the checkpoints' street addresses, looked
+  // up side by side; the trip works without either. Checkpoints moved onto a
+  // POI keep the address of where they were, a short way along the route.
+  const [pois, addresses] = await Promise.all([
+    withinBudget(
+      findPoisAlongRoute(routeResult).catch((error) => {
+        console.warn("POI lookup failed, using plain checkpoints:", error);
+        return [];
+      }),
+      []
+    ),
+    reverseGeocodeBatch(
+      [...stops, ...plainCheckpoints.map((checkpoint) => checkpoint.position)],
+      { timeout: LOOKUP_BUDGET }
+    ),
+  ]);
+
+  // Automatic checkpoints around the walker's own stops, placed at nearby
+  // points of interest where there are some
+  const autoCheckpoints = snapCheckpointsToPois(
+    routeResult,
+    plainCheckpoints.map((checkpoint, i) => {
+      const address = addresses[stops.length + i];
+      return address ? { ...checkpoint, address } : checkpoint;
+    }),
+    pois
+  );
+  const allCheckpoints = nameCheckpointsByAddress(
+    mergeCheckpoints(
+      routeResult,
+      autoCheckpoints,
+      addresses.slice(0, stops.length)
+    )
+  );
+  const checkpointNames = new Set(
+    allCheckpoints.map((checkpoint) => checkpoint.description)
+  );
+  const landmarks = pois
+    .filter((poi) => !checkpointNames.has(poi.name))
+    .slice(0, MAX_STORY_LANDMARKS);
+
+  // Get route info
+  const distance = routeResult.distance; // km
+  const duration = routeResult.duration; // minutes
+
+  const originLabel = getPlaceLabel(origin);
+  const destinationLabel = getPlaceLabel(destination);
+
+  const { story, storyWriter } = await getRouteStory(
+    originLabel,
+    destinationLabel,
+    allCheckpoints,
+    duration,
+    landmarks,
+    storyPreferences
+  );
+
+  return {
+    route: {
+      ...routeResult,
+      // Map-picked points have no geocoded address to display
+      origin: getPlaceLabel(routeResult.origin),
+      destination: getPlaceLabel(routeResult.destination),
+      isLoop,
+    },
+    checkpoints: allCheckpoints,
+    story,
+    storyWriter,
+    metadata: {
+      origin: originLabel,
+      destination: destinationLabel,
+      isLoop,
+      distance,
+      duration,
+      estimatedCalories: Math.round(distance * 50), // Rough estimate
+    },
+  };
+};
+
+// Calculate route, checkpoints and story for a walking trip
+export const planWalkingRoute = async ({
+  origin,
+  destination,
+  waypoints = [],
+  numCheckpoints = 4,
+  checkpointSpacing = "distance",
+  isLoop = false,
+  storyPreferences,
+}) => {
+  // Loops through the walker's own stops return to the origin
+  const finalDestination = isLoop ? origin : destination;
+
+  // Calculate route using the configured routing provider
+  const routeResult = await calculateWalkingRoute(
+    origin,
+    finalDestination,
+    waypoints
+  );
+
+  return buildTripData(routeResult, {
+    origin,
+    destination: finalDestination,
+    numCheckpoints,
+    checkpointSpacing,
+    isLoop,
+    storyPreferences,
+  });
+};
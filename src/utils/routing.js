@@ -0,0 +1,388 @@
+import { loadGoogleMapsScript } from "./maps";
+import { getPreference, savePreference } from "./database";
+
+// Routing providers turn an ordered list of {lat, lng} points into a walking
+// route normalised to the shape LeafletMapView consumes:
+//   {
+//     geometry: { type: "LineString", coordinates: [[lng, lat], ...] },
+//     distance, // km
+//     duration, // minutes
+//     legs: [{ steps: [OSRM-style step, ...] }, ...],
+//   }
+// Steps follow OSRM's format ({ distance, duration, name, maneuver: { type,
+// modifier, location: [lng, lat] } }) so the rest of the app only has to
+// understand one step shape.
+
+export const PUBLIC_OSRM_URL = "https://router.project-osrm.org";
+
+const ROUTING_PREFERENCE_KEY = "routingProvider";
+
+// Decode an encoded polyline (Google uses precision 5, Valhalla precision 6)
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ["lat", "lng"]) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === "lat") lat += delta;
+      else lng += delta;
+    }
+    coordinates.push([lng / factor, lat / factor]);
+  }
+
+  return coordinates;
+};
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+// OSRM (public demo server or a self-hosted instance)
+export const createOsrmProvider = ({
+  baseUrl = PUBLIC_OSRM_URL,
+  profile = "foot",
+} = {}) => ({
+  name: "osrm",
+  async route(points) {
+    const coordinates = points.map((p) => `${p.lng},${p.lat}`).join(";");
+    const response = await fetch(
+      `${trimTrailingSlash(
+        baseUrl
+      )}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson&steps=true`
+    );
+
+    if (!response.ok) {
+      throw new Error(`OSRM API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.routes || data.routes.length === 0) {
+      throw new Error("No route found");
+    }
+
+    const route = data.routes[0];
+
+    return {
+      geometry: route.geometry,
+      distance: route.distance / 1000, // Convert to km
+      duration: route.duration / 60, // Convert to minutes
+      legs: route.legs.map((leg) => ({ steps: leg.steps || [] })),
+    };
+  },
+});
+
+// Valhalla maneuver type ids -> OSRM maneuver type/modifier
+const VALHALLA_MANEUVERS = {
+  1: { type: "depart" },
+  2: { type: "depart", modifier: "right" },
+  3: { type: "depart", modifier: "left" },
+  4: { type: "arrive" },
+  5: { type: "arrive", modifier: "right" },
+  6: { type: "arrive", modifier: "left" },
+  7: { type: "new name", modifier: "straight" },
+  8: { type: "continue", modifier: "straight" },
+  9: { type: "turn", modifier: "slight right" },
+  10: { type: "turn", modifier: "right" },
+  11: { type: "turn", modifier: "sharp right" },
+  12: { type: "turn", modifier: "uturn" },
+  13: { type: "turn", modifier: "uturn" },
+  14: { type: "turn", modifier: "sharp left" },
+  15: { type: "turn", modifier: "left" },
+  16: { type: "turn", modifier: "slight left" },
+  17: { type: "continue", modifier: "straight" },
+  18: { type: "fork", modifier: "slight right" },
+  19: { type: "fork", modifier: "slight left" },
+  22: { type: "continue", modifier: "straight" },
+  23: { type: "fork", modifier: "slight right" },
+  24: { type: "fork", modifier: "slight left" },
+  26: { type: "roundabout" },
+  27: { type: "exit roundabout" },
+};
+
+// Valhalla (self-hosted)
+export const createValhallaProvider = ({ baseUrl }) => ({
+  name: "valhalla",
+  async route(points) {
+    const request = {
+      locations: points.map((p) => ({ lat: p.lat, lon: p.lng })),
+      costing: "pedestrian",
+      directions_options: { units: "kilometers" },
+    };
+    const response = await fetch(
+      `${trimTrailingSlash(baseUrl)}/route?json=${encodeURIComponent(
+        JSON.stringify(request)
+      )}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`Valhalla API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.trip || !data.trip.legs?.length) {
+      throw new Error("No route found");
+    }
+
+    const coordinates = [];
+    const legs = data.trip.legs.map((leg) => {
+      const shape = decodePolyline(leg.shape, 6);
+      // Consecutive legs share their joining vertex
+      coordinates.push(...(coordinates.length ? shape.slice(1) : shape));
+
+      return {
+        steps: leg.maneuvers.map((maneuver) => ({
+          distance: maneuver.length * 1000,
+          duration: maneuver.time,
+          name: maneuver.street_names?.[0] || "",
+          instruction: maneuver.instruction,
+          maneuver: {
+            ...(VALHALLA_MANEUVERS[maneuver.type] || { type: "continue" }),
+            location: shape[maneuver.begin_shape_index],
+          },
+        })),
+      };
+    });
+
+    return {
+      geometry: { type: "LineString", coordinates },
+      distance: data.trip.summary.length,
+      duration: data.trip.summary.time / 60,
+      legs,
+    };
+  },
+});
+
+// GraphHopper instruction signs -> OSRM maneuver type/modifier
+const GRAPHHOPPER_SIGNS = {
+  "-98": { type: "turn", modifier: "uturn" },
+  "-8": { type: "turn", modifier: "uturn" },
+  "-7": { type: "fork", modifier: "slight left" },
+  "-3": { type: "turn", modifier: "sharp left" },
+  "-2": { type: "turn", modifier: "left" },
+  "-1": { type: "turn", modifier: "slight left" },
+  0: { type: "continue", modifier: "straight" },
+  1: { type: "turn", modifier: "slight right" },
+  2: { type: "turn", modifier: "right" },
+  3: { type: "turn", modifier: "sharp right" },
+  4: { type: "arrive" },
+  5: { type: "arrive" },
+  6: { type: "roundabout" },
+  7: { type: "fork", modifier: "slight right" },
+  8: { type: "turn", modifier: "uturn" },
+};
+
+// GraphHopper (self-hosted or hosted with an API key)
+export const createGraphHopperProvider = ({
+  baseUrl,
+  apiKey,
+  profile = "foot",
+}) => ({
+  name: "graphhopper",
+  async route(points) {
+    const params = new URLSearchParams({
+      profile,
+      points_encoded: "false",
+      instructions: "true",
+    });
+    points.forEach((p) => params.append("point", `${p.lat},${p.lng}`));
+    if (apiKey) params.set("key", apiKey);
+
+    const response = await fetch(
+      `${trimTrailingSlash(baseUrl)}/route?${params.toString()}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`GraphHopper API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.paths || data.paths.length === 0) {
+      throw new Error("No route found");
+    }
+
+    const path = data.paths[0];
+    const coordinates = path.points.coordinates;
+
+    // GraphHopper returns one instruction list; "via reached" (sign 5) ends a leg
+    const legs = [{ steps: [] }];
+    path.instructions.forEach((instruction) => {
+      legs[legs.length - 1].steps.push({
+        distance: instruction.distance,
+        duration: instruction.time / 1000,
+        name: instruction.street_name || "",
+        instruction: instruction.text,
+        maneuver: {
+          ...(GRAPHHOPPER_SIGNS[instruction.sign] || { type: "continue" }),
+          location: coordinates[instruction.interval[0]],
+        },
+      });
+      if (instruction.sign === 5) {
+        legs.push({ steps: [] });
+      }
+    });
+
+    return {
+      geometry: { type: "LineString", coordinates },
+      distance: path.distance / 1000,
+      duration: path.time / 1000 / 60,
+      legs,
+    };
+  },
+});
+
+// Google maneuver strings ("turn-left", "roundabout-right", ...) -> OSRM
+const toOsrmManeuver = (googleManeuver = "") => {
+  if (!googleManeuver) return { type: "continue", modifier: "straight" };
+  if (googleManeuver.startsWith("roundabout")) return { type: "roundabout" };
+  if (googleManeuver.startsWith("fork")) {
+    return {
+      type: "fork",
+      modifier: googleManeuver.endsWith("left") ? "slight left" : "slight right",
+    };
+  }
+  if (googleManeuver.startsWith("uturn")) {
+    return { type: "turn", modifier: "uturn" };
+  }
+  if (googleManeuver === "straight") {
+    return { type: "continue", modifier: "straight" };
+  }
+  // turn-left, turn-slight-right, turn-sharp-left, keep-left, ramp-right...
+  const modifier = googleManeuver.replace(/^(turn|keep|ramp)-/, "").replace("-", " ");
+  return { type: "turn", modifier };
+};
+
+// Google Directions (requires VITE_GOOGLE_MAPS_API_KEY)
+export const createGoogleProvider = () => ({
+  name: "google",
+  async route(points) {
+    const google = await loadGoogleMapsScript();
+    const directionsService = new google.DirectionsService();
+    const toLatLng = (p) => new google.LatLng(p.lat, p.lng);
+
+    const result = await new Promise((resolve, reject) => {
+      directionsService.route(
+        {
+          origin: toLatLng(points[0]),
+          destination: toLatLng(points[points.length - 1]),
+          waypoints: points.slice(1, -1).map((p) => ({
+            location: toLatLng(p),
+            stopover: true,
+          })),
+          travelMode: google.TravelMode.WALKING,
+          unitSystem: google.UnitSystem.METRIC,
+        },
+        (response, status) => {
+          if (status === google.DirectionsStatus.OK) {
+            resolve(response);
+          } else {
+            reject(new Error(`Directions request failed: ${status}`));
+          }
+        }
+      );
+    });
+
+    const route = result.routes[0];
+    const legs = route.legs.map((leg) => ({
+      steps: leg.steps.map((step) => ({
+        distance: step.distance.value,
+        duration: step.duration.value,
+        name: "",
+        instruction: step.instructions.replace(/<[^>]*>/g, ""), // Remove HTML tags
+        maneuver: {
+          ...toOsrmManeuver(step.maneuver),
+          location: [step.start_location.lng(), step.start_location.lat()],
+        },
+      })),
+    }));
+
+    return {
+      geometry: {
+        type: "LineString",
+        coordinates: route.overview_path.map((p) => [p.lng(), p.lat()]),
+      },
+      distance:
+        route.legs.reduce((acc, leg) => acc + leg.distance.value, 0) / 1000,
+      duration:
+        route.legs.reduce((acc, leg) => acc + leg.duration.value, 0) / 60,
+      legs,
+    };
+  },
+});
+
+const providerFactories = {
+  osrm: createOsrmProvider,
+  valhalla: createValhallaProvider,
+  graphhopper: createGraphHopperProvider,
+  google: createGoogleProvider,
+};
+
+// Register an additional provider type (e.g. a local fake router in tests)
+export const registerRoutingProvider = (type, factory) => {
+  providerFactories[type] = factory;
+};
+
+// Build a provider from a {type, baseUrl, apiKey, profile} config
+export const createRoutingProvider = (config = {}) => {
+  const { type = "osrm", ...options } = config;
+  const factory = providerFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown routing provider: ${type}`);
+  }
+  if ((type === "valhalla" || type === "graphhopper") && !options.baseUrl) {
+    throw new Error(`Routing provider "${type}" requires a baseUrl`);
+  }
+
+  return factory(options);
+};
+
+// Default config from the environment, so deployments can point at their own router
+const getDefaultRoutingConfig = () => {
+  const config = { type: import.meta.env.VITE_ROUTING_PROVIDER || "osrm" };
+  if (import.meta.env.VITE_ROUTING_URL) {
+    config.baseUrl = import.meta.env.VITE_ROUTING_URL;
+  }
+  return config;
+};
+
+let overrideProvider = null;
+
+// Force a specific provider instance, bypassing preferences (null to clear)
+export const setRoutingProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+export const getRoutingConfig = async () => {
+  try {
+    const saved = await getPreference(ROUTING_PREFERENCE_KEY);
+    if (saved?.type) return saved;
+  } catch (error) {
+    console.warn("Failed to load routing preference:", error);
+  }
+  return getDefaultRoutingConfig();
+};
+
+export const saveRoutingConfig = async (config) => {
+  // Validate before persisting so a bad config can't break routing later
+  createRoutingProvider(config);
+  return savePreference(ROUTING_PREFERENCE_KEY, config);
+};
+
+// Resolve the provider to use for the next route request
+export const getRoutingProvider = async () => {
+  if (overrideProvider) return overrideProvider;
+  return createRoutingProvider(await getRoutingConfig());
+};
@@ -0,0 +1,153 @@
+// How the walker likes their stories told. Each option carries the line the
+// story prompt uses for it:
+//   { language, genre, tone, audience, chapterLength, cliffhangers }
+// The story proxy (server/storyProxy.js) builds prompts from these too, so
+// nothing here may depend on the browser.
+
+// Labelled in their own language; `value` is the BCP 47 code narration
+// voices are matched on
+export const STORY_LANGUAGES = [
+  { value: "en", label: "English", prompt: "English" },
+  { value: "vi", label: "Tiếng Việt", prompt: "Vietnamese" },
+  { value: "fr", label: "Français", prompt: "French" },
+  { value: "es", label: "Español", prompt: "Spanish" },
+  { value: "de", label: "Deutsch", prompt: "German" },
+  { value: "ja", label: "日本語", prompt: "Japanese" },
+  { value: "ko", label: "한국어", prompt: "Korean" },
+  { value: "zh", label: "中文", prompt: "Simplified Chinese" },
+];
+
+// The browser's language when stories can be told in it
+const getDefaultLanguage = () => {
+  const browserLanguage = (
+    (typeof navigator !== "undefined" && navigator.language) ||
+    "en"
+  ).split("-")[0];
+  return STORY_LANGUAGES.some((language) => language.value === browserLanguage)
+    ? browserLanguage
+    : "en";
+};
+
+export const STORY_GENRES = [
+  { value: "adventure", label: "Adventure", prompt: "an adventure story" },
+  {
+    value: "mystery",
+    label: "Mystery",
+    prompt: "a mystery with clues to piece together",
+  },
+  {
+    value: "history",
+    label: "History",
+    prompt: "a story rooted in the real history of the area",
+  },
+  { value: "sci-fi", label: "Sci-fi", prompt: "a science fiction story" },
+  { value: "comedy", label: "Comedy", prompt: "a comedy" },
+  {
+    value: "meditation",
+    label: "Meditation",
+    prompt: "a calming, mindful meditation that guides the walker's attention",
+  },
+];
+
+export const STORY_TONES = [
+  {
+    value: "conversational",
+    label: "Conversational",
+    prompt: "a conversational, immersive tone",
+  },
+  {
+    value: "lighthearted",
+    label: "Lighthearted",
+    prompt: "a light, playful tone",
+  },
+  {
+    value: "dramatic",
+    label: "Dramatic",
+    prompt: "a dramatic, suspenseful tone",
+  },
+  {
+    value: "spooky",
+    label: "Spooky",
+    prompt: "an eerie, atmospheric tone without being gory",
+  },
+  { value: "calm", label: "Calm", prompt: "a slow, gentle and soothing tone" },
+];
+
+export const STORY_AUDIENCES = [
+  {
+    value: "kids",
+    label: "Kids",
+    prompt: "children aged 6-10: simple words, short sentences, nothing frightening",
+  },
+  { value: "teens", label: "Teens", prompt: "teenagers" },
+  { value: "adults", label: "Adults", prompt: "adults" },
+];
+
+export const CHAPTER_LENGTHS = [
+  { value: "short", label: "Short", minWords: 80, maxWords: 150 },
+  { value: "medium", label: "Medium", minWords: 150, maxWords: 250 },
+  { value: "long", label: "Long", minWords: 250, maxWords: 400 },
+];
+
+// The story the app has always told, in the walker's own language
+export const DEFAULT_STORY_PREFERENCES = {
+  language: getDefaultLanguage(),
+  genre: "adventure",
+  tone: "conversational",
+  audience: "adults",
+  chapterLength: "medium",
+  cliffhangers: true,
+};
+
+const findOption = (options, value) =>
+  options.find((option) => option.value === value);
+
+// Fill in defaults for anything missing or no longer offered
+export const normaliseStoryPreferences = (preferences = {}) => {
+  const pick = (options, key) =>
+    findOption(options, preferences[key])
+      ? preferences[key]
+      : DEFAULT_STORY_PREFERENCES[key];
+
+  return {
+    language: pick(STORY_LANGUAGES, "language"),
+    genre: pick(STORY_GENRES, "genre"),
+    tone: pick(STORY_TONES, "tone"),
+    audience: pick(STORY_AUDIENCES, "audience"),
+    chapterLength: pick(CHAPTER_LENGTHS, "chapterLength"),
+    cliffhangers:
+      typeof preferences.cliffhangers === "boolean"
+        ? preferences.cliffhangers
+        : DEFAULT_STORY_PREFERENCES.cliffhangers,
+  };
+};
+
+// The prompt lines and word counts for a set of preferences
+export const describeStoryPreferences = (preferences) => {
+  const normalised = normaliseStoryPreferences(preferences);
+  const length = findOption(CHAPTER_LENGTHS, normalised.chapterLength);
+
+  return {
+    language: findOption(STORY_LANGUAGES, normalised.language).prompt,
+    genre: findOption(STORY_GENRES, normalised.genre).prompt,
+    tone: findOption(STORY_TONES, normalised.tone).prompt,
+    audience: findOption(STORY_AUDIENCES, normalised.audience).prompt,
+    minWords: length.minWords,
+    maxWords: length.maxWords,
+    cliffhangers: normalised.cliffhangers,
+  };
+};
+
+// Part of the story cache key, so each set of preferences gets its own story
+export const getStoryPreferencesKey = (preferences) => {
+  const { language, genre, tone, audience, chapterLength, cliffhangers } =
+    normaliseStoryPreferences(preferences);
+  return [
+    language,
+    genre,
+    tone,
+    audience,
+    chapterLength,
+    cliffhangers ? "c" : "n",
+  ].join(":");
+};
@@ -0,0 +1,173 @@
+// With the extension, so Node can load this for the story proxy
+import { describeStoryPreferences } from "./storyPreferences.js";
+
+// The Gemini requests that write a story, built from the walk's context:
+//   { origin, destination, checkpoints, estimatedDuration, landmarks, preferences }
+// Shared by the browser and the story proxy (server/storyProxy.js), which
+// builds the request server-side so the API key never reaches the client.
+
+// Chapters far over the word count asked for are cut back
+const MAX_CHAPTER_OVERRUN = 1.6;
+// How much of the previous chapter a new one is written to follow on from
+const CONTINUITY_WORDS = 80;
+
+// Given to Gemini as the response schema for the outline
+export const STORY_OUTLINE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    chapters: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          chapterNumber: { type: "INTEGER" },
+          title: { type: "STRING" },
+          summary: { type: "STRING" },
+        },
+        required: ["chapterNumber", "title", "summary"],
+        propertyOrdering: ["chapterNumber", "title", "summary"],
+      },
+    },
+    firstChapter: { type: "STRING" },
+  },
+  required: ["title", "chapters", "firstChapter"],
+  propertyOrdering: ["title", "chapters", "firstChapter"],
+};
+
+// "a park. Opened in 1869. Designed by ..." for the prompt
+const describePoi = (poi) =>
+  [`a ${poi.category}`, ...(poi.facts || [])].join(". ");
+
+// Street, neighbourhood and city from reverseGeocodeBatch
+const describeAddress = ({ road, suburb, city }) =>
+  [road, suburb, city].filter(Boolean).join(", ");
+
+// The route as both steps of writing describe it to Gemini
+const describeRoute = ({ origin, destination, checkpoints, landmarks = [] }) => {
+  const checkpointList = checkpoints
+    .map((cp, idx) => {
+      const distance =
+        cp.distanceAlongRoute !== undefined
+          ? ` at ${(cp.distanceAlongRoute / 1000).toFixed(1)} km`
+          : "";
+      const stop = cp.isStop ? " (a stop the walker chose to visit)" : "";
+      const poi = cp.poi ? ` - ${describePoi(cp.poi)}` : "";
+      const address = cp.address ? ` [${describeAddress(cp.address)}]` : "";
+      return `${idx + 1}. ${cp.description}${address}${distance}${stop}${poi}`;
+    })
+    .join(", ");
+
+  const landmarkList = landmarks
+    .map((poi) => `${poi.name} - ${describePoi(poi)}`)
+    .join("; ");
+
+  return `A walking journey from ${origin} to ${destination}.
+
+  Checkpoints along the route: ${checkpointList}
+  ${landmarkList ? `\n  Other landmarks along the way: ${landmarkList}\n` : ""}`;
+};
+
+export const getNumChapters = (context) => context.checkpoints.length + 1;
+
+export const getMaxChapterWords = (context) =>
+  Math.round(
+    describeStoryPreferences(context.preferences).maxWords * MAX_CHAPTER_OVERRUN
+  );
+
+// The walker's story preferences (see storyPreferences.js) shape the genre,
+// tone, audience, length and chapter endings
+const describeRequirements = (context) => {
+  const style = describeStoryPreferences(context.preferences);
+
+  return `Requirements:
+  - Write the whole story, titles included, in ${style.language}, keeping place and street names as they are locally
+  - Write ${style.genre} for ${style.audience}
+  - Each chapter should be ${style.minWords}-${style.maxWords} words long
+  - Include references to the actual locations and route, especially the stops the walker chose
+  - Mention the real street and neighbourhood names given in [brackets] as the walker reaches each checkpoint
+  - Weave in the real landmarks and their facts where they fit; don't invent facts about them
+  - Make it interesting and engaging for a walking audience
+  - ${
+    style.cliffhangers
+      ? "Each chapter should end with a mild cliffhanger to keep the walker motivated"
+      : "Each chapter should come to a gentle close, without cliffhangers"
+  }
+  - The story should relate to the local area, history, or culture
+  - Use ${style.tone}`;
+};
+
+// Title, a one-line outline of every chapter and the full first chapter, as
+// JSON matching STORY_OUTLINE_SCHEMA
+const buildOutlineRequest = (context) => {
+  const numChapters = getNumChapters(context);
+
+  const prompt = `Plan and begin a walking story. ${describeRoute(context)}
+  The story should be divided into ${numChapters} chapters, one for the start and one for each checkpoint, spread over a walk of about ${Math.round(context.estimatedDuration)} minutes.
+
+  Give the story a title, outline all ${numChapters} chapters with a title and a one or two sentence summary each, and write the full text of the first chapter only.
+
+  ${describeRequirements(context)}
+  - Outline exactly ${numChapters} chapters`;
+
+  return {
+    method: "generateContent",
+    body: {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 4096,
+        responseMimeType: "application/json",
+        responseSchema: STORY_OUTLINE_SCHEMA,
+        // The walker is waiting at the start; skip thinking for a fast answer
+        thinkingConfig: { thinkingBudget: 0 },
+      },
+    },
+  };
+};
+
+// The plain text of one pending chapter, streamed as it's written
+const buildChapterRequest = (context, story, index) => {
+  const chapter = story.chapters[index];
+  const outline = story.chapters
+    .map((ch) => `${ch.chapterNumber}. ${ch.title}${ch.summary ? ` - ${ch.summary}` : ""}`)
+    .join("\n  ");
+  const previous = story.chapters[index - 1]?.content || "";
+  const previousEnding = previous
+    .split(/\s+/)
+    .slice(-CONTINUITY_WORDS)
+    .join(" ");
+
+  const prompt = `Continue the walking story "${story.title}". ${describeRoute(context)}
+  Story outline:
+  ${outline}
+  ${previousEnding ? `\n  The previous chapter ended: "…${previousEnding}"\n` : ""}
+  Write chapter ${chapter.chapterNumber} of ${story.chapters.length}, "${chapter.title}"${chapter.summary ? `: ${chapter.summary}` : ""}.
+
+  ${describeRequirements(context)}
+  - Write only the chapter's text: no title, headings or Markdown`;
+
+  return {
+    method: "streamGenerateContent",
+    stream: true,
+    body: {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 2048,
+        thinkingConfig: { thinkingBudget: 0 },
+      },
+    },
+  };
+};
+
+// The Gemini method, request body and whether to stream, for one step of
+// writing: "outline", or "chapter" with the story so far and its index
+export const buildStoryRequest = ({ step, context, story, index }) =>
+  step === "chapter"
+    ? buildChapterRequest(context, story, index)
+    : buildOutlineRequest(context);
@@ -0,0 +1,138 @@
+import {
+  generateStoryOutline,
+  generateChapter,
+  generateFallbackStory,
+} from "./gemini";
+
+// Writes a story while the walker is already on their way: start() resolves
+// as soon as the outline and first chapter are ready, and the remaining
+// chapters are written one after another in the background. Listeners get
+// the whole story each time it changes, including the text of the chapter
+// being written as it streams in (as `draft`).
+//
+// `context` is { origin, destination, checkpoints, estimatedDuration,
+// landmarks, preferences }, and `initialStory` a partly written story to
+// carry on with.
+export const createStoryWriter = (context, initialStory = null) => {
+  let story = initialStory;
+  let cancelled = false;
+  let writing = null;
+  const listeners = new Set();
+
+  const publish = (nextStory) => {
+    story = nextStory;
+    listeners.forEach((listener) => listener(story));
+  };
+
+  // Other chapters keep their identity so the player doesn't see them change
+  const updateChapter = (index, update) =>
+    publish({
+      ...story,
+      chapters: story.chapters.map((chapter, i) =>
+        i === index ? update(chapter) : chapter
+      ),
+    });
+
+  // A chapter that can't be written falls back to the simple story's text,
+  // so the walker is never left waiting on it. It's in the story's language.
+  const fallbackChapter = (index) => {
+    const { chapters } = generateFallbackStory(
+      context.origin,
+      context.destination,
+      context.checkpoints,
+      context.preferences?.language
+    );
+    const fallback = chapters[Math.min(index, chapters.length - 1)];
+    return {
+      content: fallback.content,
+      estimatedReadingTime: fallback.estimatedReadingTime,
+      fallback: true,
+    };
+  };
+
+  const writeRemaining = async () => {
+    for (let index = 0; index < story.chapters.length; index++) {
+      if (cancelled) break;
+      if (!story.chapters[index].pending) continue;
+
+      let chapter;
+      try {
+        chapter = await generateChapter(context, story, index, {
+          onText: (draft) =>
+            !cancelled && updateChapter(index, (c) => ({ ...c, draft })),
+        });
+      } catch (error) {
+        console.warn(`Failed to write chapter ${index + 1}:`, error);
+        chapter = fallbackChapter(index);
+      }
+      if (cancelled) break;
+
+      // The finished text replaces the draft
+      updateChapter(index, (current) => {
+        const { draft: _draft, ...rest } = current;
+        return { ...rest, ...chapter, pending: false };
+      });
+    }
+    return story;
+  };
+
+  const start = async () => {
+    if (!story) {
+      // The preferences go with the story so it can be carried on in kind
+      publish({
+        ...(await generateStoryOutline(context)),
+        preferences: context.preferences,
+      });
+    }
+    if (!writing) writing = writeRemaining();
+    return story;
+  };
+
+  return {
+    start,
+    // Resolves with the story once every chapter is written or the writer
+    // is cancelled
+    whenDone: () => writing || Promise.resolve(story),
+    getStory: () => story,
+    isComplete: () => !!story && story.chapters.every((c) => !c.pending),
+    // The listener is called straight away with the story so far, so
+    // nothing written before subscribing is missed
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (story) listener(story);
+      return () => listeners.delete(listener);
+    },
+    // Stop writing after the chapter in progress, e.g. when the walk is
+    // abandoned
+    cancel: () => {
+      cancelled = true;
+      listeners.clear();
+    },
+  };
+};
+
+const sameFields = (a, b) => {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key])
+  );
+};
+
+// The story as it's saved with a walk in progress: without the streamed text
+// of the chapter being written. `previous` is returned if the story differs
+// from it only by that text, so there's nothing new to save.
+export const getSavedStory = (story, previous = null) => {
+  if (!story) return null;
+
+  const chapters = story.chapters.map((chapter) => {
+    const { draft: _draft, ...rest } = chapter;
+    return rest;
+  });
+  const unchanged =
+    previous &&
+    sameFields({ ...story, chapters: null }, { ...previous, chapters: null }) &&
+    chapters.length === previous.chapters.length &&
+    chapters.every((chapter, i) => sameFields(chapter, previous.chapters[i]));
+
+  return unchanged ? previous : { ...story, chapters };
+};
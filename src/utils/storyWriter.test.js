@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { getSavedStory } from "./storyWriter";
+
+const written = { chapterNumber: 1, title: "Setting Off", content: "It began." };
+const story = {
+  title: "The Walk",
+  chapters: [written, { chapterNumber: 2, title: "Onwards", pending: true }],
+};
+
+// The story with chapter 2 streamed in as far as `draft`
+const drafting = (draft) => ({
+  ...story,
+  chapters: [written, { ...story.chapters[1], draft }],
+});
+
+describe("getSavedStory", () => {
+  it("leaves out the chapter being streamed", () => {
+    expect(getSavedStory(drafting("Down the"))).toEqual(story);
+  });
+
+  it("keeps the last saved story while only the streamed text changes", () => {
+    const saved = getSavedStory(drafting("Down the"));
+    expect(getSavedStory(drafting("Down the road"), saved)).toBe(saved);
+  });
+
+  it("changes once a chapter is written", () => {
+    const saved = getSavedStory(drafting("Down the"));
+    const next = getSavedStory(
+      {
+        ...story,
+        chapters: [written, { ...story.chapters[1], pending: false, content: "Down the road." }],
+      },
+      saved
+    );
+    expect(next).not.toBe(saved);
+    expect(next.chapters[1].content).toBe("Down the road.");
+  });
+});
@@ -0,0 +1,74 @@
+// Trip timekeeping: elapsed time runs from the start regardless, moving time
+// stops while the trip is paused (manually or by auto-pause).
+
+// How long the walker must stand still before the trip pauses itself
+export const AUTO_PAUSE_DELAY = 60000; // ms
+// Reported GPS speed above which the walker counts as moving
+export const MOVING_SPEED = 0.5; // m/s
+
+export const createTripClock = () => {
+  let startTime = null;
+  let pausedAt = null;
+  let pausedTotal = 0; // ms spent paused before the current pause
+  let pauseReason = null; // "manual" | "auto" | null
+
+  const start = (now = Date.now()) => {
+    startTime = now;
+    pausedAt = null;
+    pausedTotal = 0;
+    pauseReason = null;
+  };
+
+  const pause = (reason = "manual", now = Date.now()) => {
+    if (startTime === null || pausedAt !== null) return false;
+    pausedAt = Math.max(now, startTime);
+    pauseReason = reason;
+    return true;
+  };
+
+  const resume = (now = Date.now()) => {
+    if (pausedAt === null) return false;
+    pausedTotal += Math.max(0, now - pausedAt);
+    pausedAt = null;
+    pauseReason = null;
+    return true;
+  };
+
+  const getElapsedTime = (now = Date.now()) =>
+    startTime === null ? 0 : Math.max(0, now - startTime);
+
+  const getMovingTime = (now = Date.now()) => {
+    if (startTime === null) return 0;
+    const currentPause = pausedAt !== null ? Math.max(0, now - pausedAt) : 0;
+    return Math.max(0, getElapsedTime(now) - pausedTotal - currentPause);
+  };
+
+  // Plain snapshot for saving the session, and the matching restore
+  const getState = () => ({ startTime, pausedAt, pausedTotal, pauseReason });
+
+  const restore = (state) => {
+    startTime = state.startTime;
+    pausedAt = state.pausedAt;
+    pausedTotal = state.pausedTotal;
+    pauseReason = state.pauseReason;
+  };
+
+  // Summary fields, in minutes like the trip's other durations
+  const getDurations = (now = Date.now()) => ({
+    movingDuration: getMovingTime(now) / 1000 / 60,
+    elapsedDuration: getElapsedTime(now) / 1000 / 60,
+  });
+
+  return {
+    start,
+    pause,
+    resume,
+    getElapsedTime,
+    getMovingTime,
+    getDurations,
+    getState,
+    restore,
+    isPaused: () => pausedAt !== null,
+    getPauseReason: () => pauseReason,
+  };
+};
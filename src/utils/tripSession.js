@@ -0,0 +1,196 @@
+import { saveTrip, generateTrackId, addTrackPoint } from "./database";
+import { createPositionFilter } from "./positionFilter";
+import { createTripClock, AUTO_PAUSE_DELAY, MOVING_SPEED } from "./tripClock";
+
+// One walk, from start to exactly one saved trip record. Both map views drive
+// it the same way:
+//   start -> update (every GPS fix) / checkpoint / pause / resume
+//         -> finish (destination reached) or abandon (ended early)
+// Whichever of finish and abandon comes first settles the trip; any later
+// call is ignored, so the record can't be saved twice.
+
+// Trip details for a route from calculateWalkingRoute. A rerouted route
+// carries the one first planned as `plannedGeometry`, which is what the trip
+// record keeps.
+export const getRouteTripDetails = (route, checkpoints = []) => ({
+  origin: route?.origin || "Unknown",
+  destination: route?.destination || "Unknown",
+  estimatedDistance: route?.distance || 0,
+  estimatedDuration: route?.duration || 0,
+  totalCheckpoints: checkpoints.length,
+  checkpointNames: checkpoints.map((checkpoint) => checkpoint.description),
+  routeGeometry:
+    (route?.plannedGeometry || route?.geometry)?.coordinates || [],
+});
+
+export const createTripSession = (initialDetails = {}) => {
+  let details = { ...initialDetails };
+  const clock = createTripClock();
+  const filter = createPositionFilter();
+
+  let status = "idle"; // idle | active | finished | abandoned
+  let startTime = null;
+  let totalDistance = 0; // km
+  let trackId = null;
+  let lastMovedAt = null;
+  let completedCheckpoints = [];
+
+  // Route changes (e.g. a reroute) are reflected in the saved record
+  const setDetails = (nextDetails) => {
+    details = { ...details, ...nextDetails };
+  };
+
+  // Start a new trip, or carry on one saved with getProgress()
+  const start = ({ progress, savedAt } = {}) => {
+    if (status !== "idle") return false;
+
+    if (progress) {
+      startTime = progress.tripStartTime;
+      totalDistance = progress.totalDistance || 0;
+      trackId = progress.trackId;
+      completedCheckpoints = progress.completedCheckpoints || [];
+      clock.restore(progress.clock);
+      // Nothing was tracked since the save, so that gap is treated as a
+      // pause rather than counted as moving time
+      clock.pause("auto", savedAt ?? Date.now());
+    } else {
+      startTime = Date.now();
+      trackId = generateTrackId();
+      clock.start(startTime);
+    }
+
+    lastMovedAt = Date.now();
+    status = "active";
+    return true;
+  };
+
+  // Feed a raw GPS fix; returns the position filter's verdict, with
+  // `distance` being what was actually added to the trip
+  const update = (fix) => {
+    if (status !== "active") {
+      return { accepted: false, reason: "inactive", position: null, distance: 0 };
+    }
+
+    const result = filter.process(fix);
+    if (!result.accepted) return result;
+
+    const { position, distance } = result;
+
+    // Auto-pause after standing still for a while, resume on moving off
+    const moving = distance > 0 || (position.speed ?? 0) >= MOVING_SPEED;
+    if (moving) {
+      lastMovedAt = position.timestamp;
+      if (clock.getPauseReason() === "auto") clock.resume(position.timestamp);
+    } else if (position.timestamp - lastMovedAt >= AUTO_PAUSE_DELAY) {
+      // The pause began when the walker stopped, not when we noticed
+      clock.pause("auto", lastMovedAt);
+    }
+
+    // Wandering about during a manual pause doesn't count
+    const counted = distance > 0 && !clock.isPaused() ? distance : 0;
+    totalDistance += counted / 1000; // Convert to km
+
+    // Record the breadcrumb as it arrives
+    addTrackPoint(trackId, position).catch((error) => {
+      console.error("Failed to record track point:", error);
+    });
+
+    return { ...result, distance: counted };
+  };
+
+  // Returns true the first time a checkpoint is reached
+  const checkpoint = (index) => {
+    if (status !== "active" || completedCheckpoints.includes(index)) {
+      return false;
+    }
+    completedCheckpoints = [...completedCheckpoints, index];
+    return true;
+  };
+
+  const pause = () => status === "active" && clock.pause("manual");
+
+  const resume = () => {
+    if (status !== "active" || !clock.resume()) return false;
+    lastMovedAt = Date.now();
+    return true;
+  };
+
+  const getStats = () => ({
+    status,
+    startTime,
+    totalDistance,
+    trackId,
+    completedCheckpoints,
+    movingTime: clock.getMovingTime(),
+    isPaused: clock.isPaused(),
+    pauseReason: clock.getPauseReason(),
+  });
+
+  // Plain snapshot for the saved session (see saveActiveSession)
+  const getProgress = () => ({
+    tripStartTime: startTime,
+    totalDistance,
+    trackId,
+    completedCheckpoints,
+    clock: clock.getState(),
+  });
+
+  const buildSummary = (endTime, completed) => {
+    // Minutes spent walking, leaving out pauses
+    const { movingDuration, elapsedDuration } = clock.getDurations(endTime);
+
+    return {
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      estimatedDistance: details.estimatedDistance || 0,
+      actualDistance: totalDistance,
+      estimatedDuration: details.estimatedDuration || 0,
+      actualDuration: movingDuration,
+      movingDuration,
+      elapsedDuration,
+      route: {
+        origin: details.origin || "Unknown",
+        destination: details.destination || "Unknown",
+      },
+      checkpointsCompleted: completedCheckpoints.length,
+      totalCheckpoints: details.totalCheckpoints || 0,
+      // Names of the checkpoints reached, in the order they were reached
+      reachedCheckpoints: completedCheckpoints
+        .map((index) => details.checkpointNames?.[index])
+        .filter(Boolean),
+      estimatedCalories: Math.round(totalDistance * 50),
+      trackId,
+      routeGeometry: details.routeGeometry || [],
+      incomplete: !completed,
+    };
+  };
+
+  // endTime defaults to now; a walk settled after a crash ends at its last save
+  const settle = async (completed, endTime = Date.now()) => {
+    if (status !== "active") return null;
+    // Settled before the await so a second call can't slip in a save
+    status = completed ? "finished" : "abandoned";
+
+    const summary = buildSummary(endTime, completed);
+    try {
+      const id = await saveTrip(summary);
+      return { ...summary, id };
+    } catch (error) {
+      console.error("Failed to save trip:", error);
+      return summary;
+    }
+  };
+
+  return {
+    setDetails,
+    start,
+    update,
+    checkpoint,
+    pause,
+    resume,
+    getStats,
+    getProgress,
+    finish: (endTime) => settle(true, endTime),
+    abandon: (endTime) => settle(false, endTime),
+  };
+};
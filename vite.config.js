@@ -1,7 +1,20 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createStoryProxy, getStoryProxyConfig } from './server/storyProxy.js'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+// Serves the story proxy at /api/story from the dev and preview servers, with
+// the Gemini key read from .env (GEMINI_API_KEY, never sent to the browser)
+const storyProxy = (env) => ({
+  name: 'story-proxy',
+  configureServer(server) {
+    server.middlewares.use('/api/story', createStoryProxy(getStoryProxyConfig(env)))
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use('/api/story', createStoryProxy(getStoryProxyConfig(env)))
+  },
 })
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), storyProxy(loadEnv(mode, process.cwd(), ''))],
+}))